@@ -0,0 +1,140 @@
+import fs from "fs/promises";
+import { DIFFICULTIES } from "./problemStats.js";
+
+// Striver's A2Z sheet as steps → topics → problems. The sheet itself is
+// seeded from data/a2z-sheet.json and shared; each profile's problem statuses
+// are kept apart in a2z_problem_progress so re-seeding never resets anyone's
+// progress.
+
+export const A2Z_STATUSES = ["todo", "attempted", "solved", "revise"];
+
+// A problem marked for revision has already been solved once
+const isSolved = (status) => status === "solved" || status === "revise";
+
+// Flattens the sheet JSON into a2z_steps, a2z_topics and a2z_problems rows.
+// Topics are keyed "<step>.<position>" and problems by slug, so seeding can
+// upsert on those keys.
+export const sheetRows = (sheet) => {
+  if (!Array.isArray(sheet?.steps)) {
+    throw new Error("A2Z sheet needs a steps array");
+  }
+
+  const steps = [];
+  const topics = [];
+  const problems = [];
+  const slugs = new Set();
+
+  for (const step of sheet.steps) {
+    steps.push({ number: step.number, title: step.title });
+
+    step.topics.forEach((topic, topicIndex) => {
+      const topicKey = `${step.number}.${topicIndex + 1}`;
+
+      topics.push({
+        key: topicKey,
+        step_number: step.number,
+        position: topicIndex + 1,
+        title: topic.title,
+      });
+
+      topic.problems.forEach((problem, problemIndex) => {
+        if (slugs.has(problem.slug)) {
+          throw new Error(`Duplicate A2Z problem slug: ${problem.slug}`);
+        }
+        if (!DIFFICULTIES.includes(problem.difficulty)) {
+          throw new Error(`Unknown difficulty for ${problem.slug}`);
+        }
+        slugs.add(problem.slug);
+
+        problems.push({
+          slug: problem.slug,
+          topic_key: topicKey,
+          position: problemIndex + 1,
+          name: problem.name,
+          difficulty: problem.difficulty,
+          link: problem.link ?? null,
+        });
+      });
+    });
+  }
+
+  return { steps, topics, problems };
+};
+
+export const loadA2zSheet = async (file) =>
+  sheetRows(JSON.parse(await fs.readFile(file, "utf8")));
+
+const counts = (problems, statusOf) => ({
+  total: problems.length,
+  solved: problems.filter((problem) => isSolved(statusOf(problem))).length,
+});
+
+// The six counters GET /a2z-progress has always returned. `statuses` maps
+// problem id → status; problems without one are "todo".
+export const a2zCounters = (problems, statuses) => {
+  const counters = {};
+
+  for (const difficulty of DIFFICULTIES) {
+    const { total, solved } = counts(
+      problems.filter((problem) => problem.difficulty === difficulty),
+      (problem) => statuses.get(problem.id)
+    );
+
+    counters[`${difficulty}_total`] = total;
+    counters[`${difficulty}_solved`] = solved;
+  }
+
+  return counters;
+};
+
+// Overall solved/total and percentage for a set of the six counters
+export const a2zCompletion = (counters) => {
+  const solved = DIFFICULTIES.reduce(
+    (sum, difficulty) => sum + counters[`${difficulty}_solved`],
+    0
+  );
+  const total = DIFFICULTIES.reduce(
+    (sum, difficulty) => sum + counters[`${difficulty}_total`],
+    0
+  );
+
+  return {
+    solved,
+    total,
+    percent: total > 0 ? Math.round((solved / total) * 1000) / 10 : 0,
+  };
+};
+
+// Nests the rows back into steps → topics → problems, with each problem's
+// status and solved/total counts on every step and topic
+export const a2zSheetTree = (steps, topics, problems, statuses) => {
+  const statusOf = (problem) => statuses.get(problem.id) || "todo";
+  const byPosition = (a, b) => a.position - b.position;
+
+  return [...steps]
+    .sort((a, b) => a.number - b.number)
+    .map((step) => {
+      const stepTopics = topics
+        .filter((topic) => topic.step_number === step.number)
+        .sort(byPosition)
+        .map((topic) => {
+          const topicProblems = problems
+            .filter((problem) => problem.topic_key === topic.key)
+            .sort(byPosition)
+            .map((problem) => ({ ...problem, status: statusOf(problem) }));
+
+          return {
+            ...topic,
+            ...counts(topicProblems, statusOf),
+            problems: topicProblems,
+          };
+        });
+
+      return {
+        ...step,
+        total: stepTopics.reduce((sum, topic) => sum + topic.total, 0),
+        solved: stepTopics.reduce((sum, topic) => sum + topic.solved, 0),
+        topics: stepTopics,
+      };
+    });
+};
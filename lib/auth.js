@@ -0,0 +1,76 @@
+import crypto from "crypto";
+
+// Password hashing and signed session tokens. Everything is verified
+// locally, so no auth provider needs to be reachable.
+
+const SCRYPT_KEY_LENGTH = 64;
+
+const scrypt = (password, salt) =>
+  new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+
+// Returns "scrypt$<salt>$<hash>"
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+
+  return `scrypt$${salt.toString("base64")}$${key.toString("base64")}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = (stored || "").split("$");
+
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const key = await scrypt(password, Buffer.from(salt, "base64"));
+
+  return (
+    key.length === expected.length && crypto.timingSafeEqual(key, expected)
+  );
+};
+
+const sign = (payload, secret) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+
+// Token format: base64url(JSON payload) + "." + HMAC-SHA256 signature
+export const signToken = (profile, secret, ttlSeconds) => {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = Buffer.from(
+    JSON.stringify({ sub: profile, iat: now, exp: now + ttlSeconds })
+  ).toString("base64url");
+
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+// Returns the decoded payload, or null for a forged or expired token
+export const verifyToken = (token, secret) => {
+  const [payload, signature] = (token || "").split(".");
+
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+
+    // sub ends up in every profile filter, so only a plain name will do
+    if (typeof claims.sub !== "string" || !claims.sub) return null;
+    if (claims.exp < Math.floor(Date.now() / 1000)) return null;
+
+    return claims;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,164 @@
+// Contest performance analytics over contest_logs rows, for
+// GET /contest-logs/stats.
+
+import { platformKey } from "./ratingBands.js";
+
+const round = (value, places = 3) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+const average = (values, places) =>
+  values.length
+    ? round(values.reduce((sum, v) => sum + v, 0) / values.length, places)
+    : null;
+
+const solveRatio = (log) =>
+  log.total_problems > 0
+    ? round(log.problems_solved / log.total_problems)
+    : null;
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+// Rating change of each contest. old_rating falls back to the new_rating of
+// the platform's previous contest when it wasn't recorded; "Codeforces" and
+// "codeforces" count as the same platform.
+const withRatingDeltas = (logs) => {
+  const sorted = [...logs].sort(
+    (a, b) =>
+      a.date.localeCompare(b.date) ||
+      String(a.id).localeCompare(String(b.id), undefined, { numeric: true })
+  );
+  const lastRating = new Map();
+
+  return sorted.map((log) => {
+    const platform = platformKey(log.platform);
+    const oldRating = log.old_rating ?? lastRating.get(platform) ?? null;
+    const ratingDelta =
+      hasValue(log.new_rating) && hasValue(oldRating)
+        ? log.new_rating - oldRating
+        : null;
+
+    if (hasValue(log.new_rating)) lastRating.set(platform, log.new_rating);
+
+    return { ...log, solve_ratio: solveRatio(log), rating_delta: ratingDelta };
+  });
+};
+
+const contestSummary = (log) => ({
+  id: log.id,
+  platform: log.platform,
+  contest_name: log.contest_name,
+  date: log.date,
+  problems_solved: log.problems_solved,
+  total_problems: log.total_problems,
+  solve_ratio: log.solve_ratio,
+  rank: log.rank ?? null,
+  rating_delta: log.rating_delta,
+});
+
+// Higher solve ratio wins, then the better rank, then the bigger gain
+const compareContests = (a, b) =>
+  (b.solve_ratio ?? -1) - (a.solve_ratio ?? -1) ||
+  (a.rank ?? Infinity) - (b.rank ?? Infinity) ||
+  (b.rating_delta ?? 0) - (a.rating_delta ?? 0);
+
+const summarize = (logs) => {
+  const ratios = logs.map((log) => log.solve_ratio).filter(hasValue);
+  const ranks = logs.map((log) => log.rank).filter(hasValue);
+  const deltas = logs.map((log) => log.rating_delta).filter(hasValue);
+  const ranked = logs
+    .filter((log) => hasValue(log.solve_ratio))
+    .sort(compareContests);
+
+  return {
+    contests: logs.length,
+    problems_solved: logs.reduce(
+      (sum, log) => sum + (log.problems_solved || 0),
+      0
+    ),
+    average_solve_ratio: average(ratios),
+    average_rank: average(ranks, 1),
+    total_rating_delta: deltas.length
+      ? deltas.reduce((sum, delta) => sum + delta, 0)
+      : null,
+    best: ranked.length ? contestSummary(ranked[0]) : null,
+    worst: ranked.length ? contestSummary(ranked[ranked.length - 1]) : null,
+  };
+};
+
+const groupBy = (logs, keyOf) => {
+  const groups = new Map();
+
+  for (const log of logs) {
+    const key = keyOf(log);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(log);
+  }
+
+  return groups;
+};
+
+const nextMonth = (month) => {
+  const [year, m] = month.split("-").map(Number);
+
+  return m === 12
+    ? `${year + 1}-01`
+    : `${year}-${String(m + 1).padStart(2, "0")}`;
+};
+
+// Every month from the first to the last, so charts get explicit zeros
+const monthsBetween = (first, last) => {
+  const months = [];
+
+  for (let month = first; month <= last; month = nextMonth(month)) {
+    months.push(month);
+  }
+
+  return months;
+};
+
+// `logs` should include earlier contests of the same platforms when
+// possible, so the first contest in range still gets a rating delta.
+// Only logs dated within [from, to] are reported.
+export const contestStats = (logs, { from, to } = {}) => {
+  const inRange = withRatingDeltas(logs).filter(
+    (log) => (!from || log.date >= from) && (!to || log.date <= to)
+  );
+  const byMonth = groupBy(inRange, (log) => log.date.slice(0, 7));
+  const byPlatform = groupBy(inRange, (log) => platformKey(log.platform));
+  const months = inRange.map((log) => log.date.slice(0, 7));
+  const firstMonth = from?.slice(0, 7) ?? months[0];
+  const lastMonth = to?.slice(0, 7) ?? months[months.length - 1];
+
+  return {
+    ...summarize(inRange),
+    per_month: (firstMonth ? monthsBetween(firstMonth, lastMonth) : []).map(
+      (month) => {
+        const monthLogs = byMonth.get(month) || [];
+
+        return {
+          month,
+          contests: monthLogs.length,
+          average_solve_ratio: average(
+            monthLogs.map((log) => log.solve_ratio).filter(hasValue)
+          ),
+        };
+      }
+    ),
+    rating_changes: inRange
+      .filter((log) => hasValue(log.rating_delta))
+      .map((log) => ({
+        id: log.id,
+        platform: log.platform,
+        contest_name: log.contest_name,
+        date: log.date,
+        new_rating: log.new_rating,
+        rating_delta: log.rating_delta,
+      })),
+    by_platform: Object.fromEntries(
+      [...byPlatform.entries()].map(([platform, platformLogs]) => [
+        platform,
+        summarize(platformLogs),
+      ])
+    ),
+  };
+};
@@ -0,0 +1,90 @@
+import { addDays } from "./dates.js";
+import { dailyTotals, nextPeriodStart, periodStart } from "./dailyLogStats.js";
+
+// Goal tracking for daily log metrics. A goal is a row of daily_log_goals:
+// { metric, target, period } where period is "day", "week" or "month" and
+// the goal is met when the metric's total over the period reaches target.
+
+export const GOAL_PERIODS = ["day", "week", "month"];
+
+const periodTotal = (totals, metric, start, end) => {
+  let total = 0;
+
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    total += totals.get(date)?.[metric] || 0;
+  }
+
+  return total;
+};
+
+const periodResult = (goal, totals, start, today) => {
+  const end = addDays(nextPeriodStart(start, goal.period), -1);
+  const total = periodTotal(totals, goal.metric, start, end);
+
+  return {
+    period_start: start,
+    period_end: end,
+    total,
+    met: total >= goal.target,
+    shortfall: Math.max(0, goal.target - total),
+    in_progress: start <= today && today <= end,
+  };
+};
+
+// Consecutive met periods up to today. The period in progress only counts
+// once it is met; until then it doesn't break the streak either.
+const currentStreak = (goal, totals, today, firstDate) => {
+  let start = periodStart(today, goal.period);
+  let streak = 0;
+
+  if (periodResult(goal, totals, start, today).met) streak++;
+
+  for (
+    start = periodStart(addDays(start, -1), goal.period);
+    firstDate && start >= periodStart(firstDate, goal.period);
+    start = periodStart(addDays(start, -1), goal.period)
+  ) {
+    if (!periodResult(goal, totals, start, today).met) break;
+    streak++;
+  }
+
+  return streak;
+};
+
+// Per-goal results for every period overlapping [from, to], plus the
+// current streak. `logs` should hold the profile's whole history up to today.
+export const goalReport = (goals, logs, { from, to, today }) => {
+  const metrics = [...new Set(goals.map((goal) => goal.metric))];
+  const totals = dailyTotals(logs, metrics);
+  const firstDate = logs.reduce(
+    (first, log) => (!first || log.date < first ? log.date : first),
+    null
+  );
+
+  return goals.map((goal) => {
+    const periods = [];
+
+    for (
+      let start = periodStart(from, goal.period);
+      start <= to;
+      start = nextPeriodStart(start, goal.period)
+    ) {
+      periods.push(periodResult(goal, totals, start, today));
+    }
+
+    // Shortfall only adds up over periods that are already over
+    const finished = periods.filter((period) => period.period_end < today);
+
+    return {
+      goal_id: goal.id,
+      metric: goal.metric,
+      target: goal.target,
+      period: goal.period,
+      periods_met: periods.filter((period) => period.met).length,
+      periods_total: periods.length,
+      total_shortfall: finished.reduce((sum, p) => sum + p.shortfall, 0),
+      current_streak: currentStreak(goal, totals, today, firstDate),
+      periods,
+    };
+  });
+};
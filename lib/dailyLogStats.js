@@ -0,0 +1,145 @@
+import { addDays, dateRange, daysBetween, weekdayOf } from "./dates.js";
+
+// Rollups of daily log metrics by week or month, for
+// GET /daily-logs/:profile/summary. Logs are plain rows with a `date` and one
+// numeric column per metric key.
+
+export const GRANULARITIES = ["week", "month"];
+
+const round = (value, places = 2) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+// First day of the day, week (weeks start on Monday) or month containing
+// `date`. Goals also use "day" periods.
+export const periodStart = (date, granularity) => {
+  if (granularity === "day") return date;
+  if (granularity === "week") {
+    return addDays(date, -((weekdayOf(date) + 6) % 7));
+  }
+  return `${date.slice(0, 7)}-01`;
+};
+
+export const nextPeriodStart = (start, granularity) => {
+  if (granularity === "day") return addDays(start, 1);
+  if (granularity === "week") return addDays(start, 7);
+
+  const [year, month] = start.split("-").map(Number);
+
+  return month === 12
+    ? `${year + 1}-01-01`
+    : `${year}-${String(month + 1).padStart(2, "0")}-01`;
+};
+
+export const previousPeriodStart = (start, granularity) =>
+  periodStart(addDays(start, -1), granularity);
+
+// Metric values summed per date, so duplicate rows for a day count once
+export const dailyTotals = (logs, keys) => {
+  const totals = new Map();
+
+  for (const log of logs) {
+    const day = totals.get(log.date) || {};
+
+    for (const key of keys) {
+      day[key] = (day[key] || 0) + (Number(log[key]) || 0);
+    }
+
+    totals.set(log.date, day);
+  }
+
+  return totals;
+};
+
+const summarizeMetric = (totals, key, days) => {
+  let total = 0;
+  let activeDays = 0;
+  let bestDay = null;
+
+  for (const date of days) {
+    const value = totals.get(date)?.[key] || 0;
+
+    total += value;
+    if (value > 0) activeDays++;
+    if (value > 0 && (!bestDay || value > bestDay.value)) {
+      bestDay = { date, value };
+    }
+  }
+
+  return {
+    total,
+    average: days.length ? round(total / days.length) : 0,
+    best_day: bestDay,
+    active_days: activeDays,
+  };
+};
+
+const summarizePeriod = (totals, keys, from, to) => {
+  const days = dateRange(from, to);
+
+  return Object.fromEntries(
+    keys.map((key) => [key, summarizeMetric(totals, key, days)])
+  );
+};
+
+// Change is measured on the daily average, so a period that is still in
+// progress (or a shorter month) is compared fairly with a full one.
+const changeFrom = (current, previous) => ({
+  average: round(current.average - previous.average),
+  percent:
+    previous.average === 0
+      ? null
+      : round(
+          ((current.average - previous.average) / previous.average) * 100,
+          1
+        ),
+});
+
+// Summary of [from, to], split into weeks or months. The first period is
+// widened to start on its week/month boundary; the last one ends at `to`.
+// Logs must cover the period before the first one too, for its change.
+export const summarizeDailyLogs = (logs, keys, { granularity, from, to }) => {
+  const totals = dailyTotals(logs, keys);
+  const firstStart = periodStart(from, granularity);
+  const previousStart = previousPeriodStart(firstStart, granularity);
+  let previous = summarizePeriod(
+    totals,
+    keys,
+    previousStart,
+    addDays(firstStart, -1)
+  );
+  const periods = [];
+
+  for (
+    let start = firstStart;
+    start <= to;
+    start = nextPeriodStart(start, granularity)
+  ) {
+    const periodEnd = addDays(nextPeriodStart(start, granularity), -1);
+    const end = periodEnd < to ? periodEnd : to;
+    const current = summarizePeriod(totals, keys, start, end);
+    const metrics = {};
+
+    for (const key of keys) {
+      metrics[key] = {
+        ...current[key],
+        change: changeFrom(current[key], previous[key]),
+      };
+    }
+
+    periods.push({
+      period_start: start,
+      period_end: end,
+      days: daysBetween(start, end) + 1,
+      metrics,
+    });
+    previous = current;
+  }
+
+  return {
+    granularity,
+    from: firstStart,
+    to,
+    metrics: summarizePeriod(totals, keys, firstStart, to),
+    periods,
+  };
+};
@@ -0,0 +1,69 @@
+// Helpers for calendar dates stored as "YYYY-MM-DD" strings. All arithmetic
+// is done in UTC so that the string, not the server's clock, is the truth.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const isValidDate = (value) => {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+
+  const parsed = new Date(`${value}T00:00:00Z`);
+
+  return (
+    !Number.isNaN(parsed.getTime()) &&
+    parsed.toISOString().slice(0, 10) === value
+  );
+};
+
+const toUtc = (date) => Date.parse(`${date}T00:00:00Z`);
+
+const fromUtc = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// The calendar date of an instant as seen in the given IANA time zone
+export const dateInTimeZone = (instant, timeZone = "UTC") =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(instant);
+
+export const addDays = (date, days) => fromUtc(toUtc(date) + days * DAY_MS);
+
+// Number of days from `from` to `to` (negative when `to` is earlier)
+export const daysBetween = (from, to) =>
+  Math.round((toUtc(to) - toUtc(from)) / DAY_MS);
+
+// 0 = Sunday ... 6 = Saturday
+export const weekdayOf = (date) => new Date(toUtc(date)).getUTCDay();
+
+// Inclusive list of dates from `from` to `to`
+export const dateRange = (from, to) => {
+  const dates = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+
+  return dates;
+};
@@ -0,0 +1,124 @@
+import { addDays, daysBetween, isValidDate, weekdayOf } from "./dates.js";
+
+// Habit schedules, stored in habits.schedule (null means every day):
+//
+//   { type: "daily" }
+//   { type: "weekdays", days: [1, 3, 5] }        0 = Sunday ... 6 = Saturday
+//   { type: "times_per_week", times: 3 }         weeks start on Monday
+//   { type: "every_n_days", interval: 2, start_date: "2024-01-01" }
+//
+// start_date is optional and defaults to the day tracking started.
+
+export const SCHEDULE_TYPES = [
+  "daily",
+  "weekdays",
+  "times_per_week",
+  "every_n_days",
+];
+
+// Returns an error message for an invalid schedule, or null
+export const scheduleError = (schedule) => {
+  if (!SCHEDULE_TYPES.includes(schedule.type)) {
+    return `type must be one of: ${SCHEDULE_TYPES.join(", ")}`;
+  }
+
+  if (schedule.type === "weekdays") {
+    const { days } = schedule;
+    if (
+      !Array.isArray(days) ||
+      days.length === 0 ||
+      !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    ) {
+      return "days must be a non-empty array of weekdays (0-6)";
+    }
+  }
+
+  if (schedule.type === "times_per_week") {
+    const { times } = schedule;
+    if (!Number.isInteger(times) || times < 1 || times > 7) {
+      return "times must be an integer from 1 to 7";
+    }
+  }
+
+  if (schedule.type === "every_n_days") {
+    const { interval, start_date: startDate } = schedule;
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+      return "interval must be an integer from 1 to 365";
+    }
+    if (startDate !== undefined && !isValidDate(startDate)) {
+      return "start_date must be a date (YYYY-MM-DD)";
+    }
+  }
+
+  return null;
+};
+
+// Monday of the week containing `date`
+export const weekStart = (date) => addDays(date, -((weekdayOf(date) + 6) % 7));
+
+// Marks unfinished days of each week as "missed" only for the completions
+// the week still lacks, latest days first. The rest are "not_due".
+const weeklyQuotaStatuses = (days, times, today) => {
+  const weeks = new Map();
+
+  for (const day of days) {
+    const key = weekStart(day.date);
+    if (!weeks.has(key)) weeks.set(key, []);
+    weeks.get(key).push(day);
+  }
+
+  for (const [start, weekDays] of weeks) {
+    // Partial first week: the quota cannot exceed the days tracked
+    const quota = Math.min(times, weekDays.length);
+    const done = weekDays.filter((d) => d.status === "completed").length;
+    let shortfall = Math.max(0, quota - done);
+
+    // Days still ahead this week (including today) can cover the shortfall
+    const weekEnd = addDays(start, 6);
+    const remaining = weekEnd >= today ? daysBetween(today, weekEnd) + 1 : 0;
+    const todayDay = weekDays.find((d) => d.date === today);
+
+    if (todayDay && todayDay.status !== "completed") {
+      todayDay.status = shortfall > 0 ? "pending" : "not_due";
+    }
+
+    shortfall = Math.max(0, shortfall - remaining);
+
+    const open = weekDays
+      .filter((d) => d.status === "missed")
+      .sort((a, b) => b.date.localeCompare(a.date));
+
+    open.forEach((day, index) => {
+      day.status = index < shortfall ? "missed" : "not_due";
+    });
+  }
+
+  return days;
+};
+
+// Applies a schedule to plain daily statuses ("completed", "missed" or
+// "pending" for each date from `start` to `today`).
+export const applySchedule = (schedule, days, { start, today }) => {
+  const type = schedule?.type || "daily";
+
+  if (type === "times_per_week") {
+    return weeklyQuotaStatuses(days, schedule.times, today);
+  }
+
+  const isDue = (date) => {
+    if (type === "weekdays") return schedule.days.includes(weekdayOf(date));
+    if (type === "every_n_days") {
+      const offset = daysBetween(schedule.start_date || start, date);
+      return offset >= 0 && offset % schedule.interval === 0;
+    }
+    return true;
+  };
+
+  for (const day of days) {
+    if (day.status !== "completed" && !isDue(day.date)) {
+      day.status = "not_due";
+    }
+  }
+
+  return days;
+};
@@ -0,0 +1,176 @@
+import {
+  WEEKDAY_NAMES,
+  addDays,
+  dateInTimeZone,
+  dateRange,
+  weekdayOf,
+} from "./dates.js";
+import { applySchedule } from "./habitSchedule.js";
+
+export const COMPLETION_WINDOWS = [7, 30, 90];
+
+// Ids may be numbers in one row and strings in another
+export const entriesForHabit = (habit, entries) =>
+  entries.filter((entry) => String(entry.habit_id) === String(habit.id));
+
+const hasTarget = (habit) =>
+  habit.target !== null && habit.target !== undefined;
+
+// Completion is derived from value for habits with a numeric target, so
+// changing the target re-scores old entries.
+export const isEntryComplete = (habit, entry) =>
+  hasTarget(habit)
+    ? (entry.value ?? 0) >= habit.target
+    : Boolean(entry.completed);
+
+// Percentage of the target reached; can exceed 100
+export const entryProgress = (habit, entry) => {
+  if (!hasTarget(habit)) return entry.completed ? 100 : 0;
+
+  return Math.round(((entry.value ?? 0) / habit.target) * 1000) / 10;
+};
+
+// First day the habit could have been tracked: its creation date, or an
+// earlier entry if history was backfilled.
+const trackingStart = (habit, entries, today, timeZone, firstEntryDate) => {
+  const dates = entries.map((entry) => entry.date);
+
+  if (firstEntryDate) dates.push(firstEntryDate);
+
+  if (habit.created_at) {
+    dates.push(dateInTimeZone(new Date(habit.created_at), timeZone));
+  }
+
+  const earliest = dates.sort()[0];
+
+  return earliest && earliest < today ? earliest : today;
+};
+
+// One { date, status } per day from the start of tracking to today.
+// Status is "completed", "missed", "not_due" when the habit's schedule
+// does not ask for that day, or "pending" when today is still open.
+// `entries` may cover only part of the history if `firstEntryDate`, the
+// habit's earliest entry, is passed; days outside them count as not done.
+export const dayStatuses = (
+  habit,
+  entries,
+  today,
+  timeZone,
+  firstEntryDate
+) => {
+  const completed = new Set(
+    entries
+      .filter((entry) => isEntryComplete(habit, entry))
+      .map((entry) => entry.date)
+  );
+  const start = trackingStart(habit, entries, today, timeZone, firstEntryDate);
+
+  const days = dateRange(start, today).map((date) => {
+    if (completed.has(date)) return { date, status: "completed" };
+    return { date, status: date === today ? "pending" : "missed" };
+  });
+
+  return applySchedule(habit.schedule, days, { start, today });
+};
+
+const rate = (completed, due) =>
+  due === 0 ? null : Math.round((completed / due) * 1000) / 10;
+
+const tally = (days) => {
+  const completed = days.filter((day) => day.status === "completed").length;
+  const due = completed + days.filter((day) => day.status === "missed").length;
+
+  return { completed, due, rate: rate(completed, due) };
+};
+
+// Streaks, completion rates and weekday breakdown for one habit, where
+// `entries` are that habit's habit_entries rows.
+export const habitStats = (habit, entries, { today, timeZone }) => {
+  const days = dayStatuses(habit, entries, today, timeZone);
+
+  let longestStreak = 0;
+  let run = 0;
+
+  for (const { status } of days) {
+    if (status === "completed") {
+      run += 1;
+      longestStreak = Math.max(longestStreak, run);
+    } else if (status === "missed") {
+      run = 0;
+    }
+  }
+
+  // Pending and not-due days neither break nor extend a streak
+  let currentStreak = 0;
+
+  for (let i = days.length - 1; i >= 0; i--) {
+    if (days[i].status === "completed") currentStreak += 1;
+    else if (days[i].status === "missed") break;
+  }
+
+  const completionRates = {};
+
+  for (const window of COMPLETION_WINDOWS) {
+    const windowStart = addDays(today, -(window - 1));
+    completionRates[`last_${window}_days`] = tally(
+      days.filter((day) => day.date >= windowStart)
+    );
+  }
+
+  const weekdays = WEEKDAY_NAMES.map((name, weekday) => ({
+    weekday,
+    name,
+    ...tally(days.filter((day) => weekdayOf(day.date) === weekday)),
+  }));
+
+  return {
+    habit_id: habit.id,
+    name: habit.name,
+    tracking_since: days[0].date,
+    current_streak: currentStreak,
+    longest_streak: longestStreak,
+    total_completed: days.filter((day) => day.status === "completed").length,
+    completion_rates: completionRates,
+    weekdays,
+  };
+};
+
+// 0 for an empty day, then 1-4 by share of due habits completed
+const intensity = (completed, due) =>
+  completed === 0 ? 0 : Math.ceil((completed / due) * 4);
+
+// One cell per date from `from` to `to` across all the given habits, for
+// calendar views. Days after today have nothing due yet.
+export const habitHeatmap = (
+  habits,
+  entries,
+  { from, to, today, timeZone }
+) => {
+  const cells = new Map(
+    dateRange(from, to).map((date) => [date, { date, completed: 0, due: 0 }])
+  );
+
+  for (const habit of habits) {
+    const days = dayStatuses(
+      habit,
+      entriesForHabit(habit, entries),
+      today,
+      timeZone
+    );
+
+    for (const { date, status } of days) {
+      const cell = cells.get(date);
+
+      if (!cell || status === "not_due") continue;
+
+      // A completion on a rest day counts as due that day, like in tally()
+      if (status === "completed") cell.completed += 1;
+      cell.due += 1;
+    }
+  }
+
+  return [...cells.values()].map((cell) => ({
+    ...cell,
+    level: intensity(cell.completed, cell.due),
+  }));
+};
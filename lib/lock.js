@@ -0,0 +1,23 @@
+// Serializes async work per key within this process, e.g. so two quick-add
+// requests for the same day's log can't both read the old value:
+//
+//   const lock = createKeyedLock();
+//   await lock("piyush:2024-01-01", async () => { ...read, then write... });
+//
+// Work for different keys still runs concurrently.
+export const createKeyedLock = () => {
+  const tails = new Map();
+
+  return (key, fn) => {
+    const previous = tails.get(key) || Promise.resolve();
+    const run = previous.then(() => fn());
+    const tail = run.catch(() => {});
+
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+
+    return run;
+  };
+};
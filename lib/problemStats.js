@@ -0,0 +1,60 @@
+// Topic and difficulty breakdown of solved_problems rows, for
+// GET /solved-problems/breakdown.
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const emptyCounts = () => ({ easy: 0, medium: 0, hard: 0, unrated: 0 });
+
+const countInto = (counts, problem) => {
+  const difficulty = DIFFICULTIES.includes(problem.difficulty)
+    ? problem.difficulty
+    : "unrated";
+
+  counts[difficulty]++;
+};
+
+const average = (values) => {
+  if (values.length === 0) return null;
+
+  const sum = values.reduce((total, value) => total + value, 0);
+
+  return Math.round((sum / values.length) * 10) / 10;
+};
+
+// A problem tagged with several topics counts once under each of them
+export const problemBreakdown = (problems) => {
+  const byDifficulty = emptyCounts();
+  const topics = new Map();
+  const platforms = new Map();
+
+  for (const problem of problems) {
+    countInto(byDifficulty, problem);
+
+    for (const topic of problem.topics || []) {
+      if (!topics.has(topic)) {
+        topics.set(topic, { topic, count: 0, by_difficulty: emptyCounts() });
+      }
+      const entry = topics.get(topic);
+      entry.count++;
+      countInto(entry.by_difficulty, problem);
+    }
+
+    const platform = problem.platform || "other";
+    platforms.set(platform, (platforms.get(platform) || 0) + 1);
+  }
+
+  const times = problems
+    .map((problem) => problem.time_taken_minutes)
+    .filter((minutes) => typeof minutes === "number");
+
+  return {
+    total: problems.length,
+    by_difficulty: byDifficulty,
+    by_topic: [...topics.values()].sort(
+      (a, b) => b.count - a.count || a.topic.localeCompare(b.topic)
+    ),
+    by_platform: Object.fromEntries(platforms),
+    average_time_minutes: average(times),
+    average_attempts: average(problems.map((problem) => problem.attempts || 1)),
+  };
+};
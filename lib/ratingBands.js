@@ -0,0 +1,58 @@
+// Rank/title bands of the contest platforms' rating scales. Each list is
+// ordered by its lower bound; a rating belongs to the last band it reaches.
+
+const BANDS = {
+  codeforces: [
+    { min: 0, title: "Newbie" },
+    { min: 1200, title: "Pupil" },
+    { min: 1400, title: "Specialist" },
+    { min: 1600, title: "Expert" },
+    { min: 1900, title: "Candidate Master" },
+    { min: 2100, title: "Master" },
+    { min: 2300, title: "International Master" },
+    { min: 2400, title: "Grandmaster" },
+    { min: 2600, title: "International Grandmaster" },
+    { min: 3000, title: "Legendary Grandmaster" },
+  ],
+  codechef: [
+    { min: 0, title: "1★" },
+    { min: 1400, title: "2★" },
+    { min: 1600, title: "3★" },
+    { min: 1800, title: "4★" },
+    { min: 2000, title: "5★" },
+    { min: 2200, title: "6★" },
+    { min: 2500, title: "7★" },
+  ],
+  // LeetCode badges are percentile based (Knight: top 25%, Guardian: top 5%),
+  // so these cut-offs are the usual approximations
+  leetcode: [
+    { min: 0, title: "No badge" },
+    { min: 1850, title: "Knight" },
+    { min: 2150, title: "Guardian" },
+  ],
+};
+
+// "LeetCode", "leetcode" and "Leet Code" all name the same platform
+export const platformKey = (platform) =>
+  String(platform)
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+
+// { title, min, next_title, points_to_next } for the rating, or null when the
+// platform's scale is unknown
+export const ratingBand = (platform, rating) => {
+  const bands = BANDS[platformKey(platform)];
+
+  if (!bands || typeof rating !== "number") return null;
+
+  const index = bands.findLastIndex((band) => rating >= band.min);
+  const band = bands[Math.max(index, 0)];
+  const next = bands[index + 1];
+
+  return {
+    title: band.title,
+    min: band.min,
+    next_title: next?.title ?? null,
+    points_to_next: next ? next.min - rating : null,
+  };
+};
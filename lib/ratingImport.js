@@ -0,0 +1,90 @@
+// Parses rating exports into contest log fields, for POST /cp-ratings/import.
+// Each entry is { platform, contest_name, date, rank, old_rating,
+// new_rating, problems_solved, total_problems }, oldest first.
+
+export const RATING_IMPORT_SOURCES = ["codeforces", "leetcode"];
+
+const utcDate = (seconds) =>
+  new Date(seconds * 1000).toISOString().slice(0, 10);
+
+const checkEntries = (entries, nameOf, timeOf) =>
+  entries.forEach((entry, index) => {
+    if (typeof nameOf(entry) !== "string" || !Number.isFinite(timeOf(entry))) {
+      throw new Error(`Entry ${index} has no contest name or time`);
+    }
+  });
+
+// user.rating: { status, result: [{ contestName, rank,
+// ratingUpdateTimeSeconds, oldRating, newRating }] }. The export has no
+// contest start time, so the log is dated by the rating update.
+const parseCodeforces = (json) => {
+  if (!Array.isArray(json?.result)) {
+    throw new Error("Expected a Codeforces user.rating response");
+  }
+
+  checkEntries(
+    json.result,
+    (change) => change.contestName,
+    (change) => change.ratingUpdateTimeSeconds
+  );
+
+  return json.result.map((change) => ({
+    platform: "codeforces",
+    contest_name: change.contestName,
+    date: utcDate(change.ratingUpdateTimeSeconds),
+    rank: change.rank ?? null,
+    old_rating: change.oldRating ?? null,
+    new_rating: change.newRating,
+    problems_solved: 0,
+    total_problems: 0,
+  }));
+};
+
+// userContestRankingHistory: { data: { userContestRankingHistory: [{
+// attended, rating, ranking, problemsSolved, totalProblems,
+// contest: { title, startTime } }] } }. Entries for contests that weren't
+// attended are skipped; old_rating is the previous attended contest's rating.
+const parseLeetCode = (json) => {
+  const history =
+    json?.data?.userContestRankingHistory || json?.userContestRankingHistory;
+
+  if (!Array.isArray(history)) {
+    throw new Error("Expected a LeetCode contest ranking history");
+  }
+
+  checkEntries(
+    history,
+    (entry) => entry.contest?.title,
+    (entry) => entry.contest?.startTime
+  );
+
+  let previous = null;
+
+  return history
+    .filter((entry) => entry.attended)
+    .sort((a, b) => a.contest.startTime - b.contest.startTime)
+    .map((entry) => {
+      const rating = Math.round(entry.rating);
+      const row = {
+        platform: "leetcode",
+        contest_name: entry.contest.title,
+        date: utcDate(entry.contest.startTime),
+        rank: entry.ranking || null,
+        old_rating: previous,
+        new_rating: rating,
+        problems_solved: entry.problemsSolved || 0,
+        total_problems: entry.totalProblems || 0,
+      };
+
+      previous = rating;
+      return row;
+    });
+};
+
+const PARSERS = {
+  codeforces: parseCodeforces,
+  leetcode: parseLeetCode,
+};
+
+export const parseRatingExport = (platform, json) =>
+  PARSERS[platform](json).sort((a, b) => a.date.localeCompare(b.date));
@@ -0,0 +1,105 @@
+import { addDays, weekdayOf } from "./dates.js";
+
+// Todo recurrence rules, stored in todos.recurrence (null for one-off todos):
+//
+//   { type: "daily" }
+//   { type: "weekly", days: [0, 3] }       0 = Sunday ... 6 = Saturday
+//   { type: "monthly", day: 31 }           clamped to the month's last day
+//
+// day is optional for monthly rules. It is filled in from the todo's due
+// date when the todo is saved, so it survives being clamped in a short month.
+
+export const RECURRENCE_TYPES = ["daily", "weekly", "monthly"];
+
+// Returns an error message for an invalid rule, or null
+export const recurrenceError = (rule) => {
+  if (!RECURRENCE_TYPES.includes(rule.type)) {
+    return `type must be one of: ${RECURRENCE_TYPES.join(", ")}`;
+  }
+
+  if (rule.type === "weekly") {
+    const { days } = rule;
+    if (
+      !Array.isArray(days) ||
+      days.length === 0 ||
+      !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    ) {
+      return "days must be a non-empty array of weekdays (0-6)";
+    }
+  }
+
+  if (rule.type === "monthly" && rule.day !== undefined) {
+    const { day } = rule;
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      return "day must be an integer from 1 to 31";
+    }
+  }
+
+  return null;
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// The rule's day in the given month (1-12), clamped to the month's length
+const monthlyDate = (year, month, day) =>
+  `${year}-${pad(month)}-${pad(Math.min(day, daysInMonth(year, month)))}`;
+
+// A monthly rule with its day filled in from `dueDate`
+export const withMonthlyDay = (rule, dueDate) =>
+  rule?.type === "monthly" && rule.day === undefined
+    ? { ...rule, day: Number(dueDate.slice(8, 10)) }
+    : rule;
+
+// First date strictly after `date` that the rule falls on
+export const nextOccurrence = (rule, date) => {
+  if (rule.type === "weekly") {
+    for (let offset = 1; offset <= 7; offset++) {
+      const candidate = addDays(date, offset);
+      if (rule.days.includes(weekdayOf(candidate))) return candidate;
+    }
+  }
+
+  if (rule.type === "monthly") {
+    const [year, month, dayOfMonth] = date.split("-").map(Number);
+    const day = rule.day ?? dayOfMonth;
+    const sameMonth = monthlyDate(year, month, day);
+
+    if (sameMonth > date) return sameMonth;
+
+    return month === 12
+      ? monthlyDate(year + 1, 1, day)
+      : monthlyDate(year, month + 1, day);
+  }
+
+  return addDays(date, 1);
+};
+
+// The occurrence to create once a todo due on `dueDate` is completed: the
+// next one, skipping any that are already in the past.
+export const upcomingOccurrence = (rule, dueDate, today) => {
+  rule = withMonthlyDay(rule, dueDate);
+  let date = nextOccurrence(rule, dueDate);
+
+  while (date < today) date = nextOccurrence(rule, date);
+
+  return date;
+};
+
+// The most recent occurrence after `dueDate` that has arrived by `today`,
+// or null. Missed occurrences collapse into this one instead of piling up.
+export const arrivedOccurrence = (rule, dueDate, today) => {
+  rule = withMonthlyDay(rule, dueDate);
+  let date = nextOccurrence(rule, dueDate);
+
+  if (date > today) return null;
+
+  for (let next = nextOccurrence(rule, date); next <= today; ) {
+    date = next;
+    next = nextOccurrence(rule, date);
+  }
+
+  return date;
+};
@@ -0,0 +1,37 @@
+import { createMemoryRepository } from "./memory.js";
+import { createSupabaseRepository } from "./supabase.js";
+
+// Data access for the route handlers. Both backends implement:
+//
+//   list(table, filters, { orderBy, ascending, limit })  -> rows
+//   get(table, filters)                                   -> row | null
+//   insert(table, row)                                    -> row
+//   update(table, filters, changes)                       -> updated rows
+//   delete(table, filters)                                -> deleted rows
+//   upsert(table, row, { onConflict: [columns] })         -> row
+//   upload(bucket, path, buffer, { contentType })         -> { path, publicUrl }
+//
+// Filters map column names to a value (equality), null (IS NULL), or an
+// object of operators: { gte, lte, gt, lt, neq, in, contains }, plus
+// { not: null } for IS NOT NULL.
+
+export const createRepository = (env = process.env) => {
+  const backend = env.DATA_BACKEND || "supabase";
+
+  if (backend === "memory") {
+    return createMemoryRepository({ seedFile: env.MEMORY_SEED_FILE });
+  }
+
+  if (backend === "supabase") {
+    if (!env.SUPABASE_URL || !env.SUPABASE_KEY) {
+      throw new Error("Missing Supabase credentials in environment variables");
+    }
+
+    return createSupabaseRepository({
+      url: env.SUPABASE_URL,
+      key: env.SUPABASE_KEY,
+    });
+  }
+
+  throw new Error(`Unknown DATA_BACKEND: ${backend}`);
+};
@@ -0,0 +1,194 @@
+import fs from "fs";
+
+// In-memory implementation of the repository interface, for running the API
+// and its tests without a Supabase project. Data is lost on restart unless a
+// seed file is given.
+
+const clone = (value) => structuredClone(value);
+
+// Ids arrive as strings from URL params but are stored as numbers
+const sameValue = (a, b) =>
+  a === b ||
+  (a !== null &&
+    b !== null &&
+    typeof a !== "object" &&
+    typeof b !== "object" &&
+    String(a) === String(b));
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+// Comparisons against NULL never match, as in SQL
+const RANGE_CHECKS = {
+  gt: (order) => order > 0,
+  gte: (order) => order >= 0,
+  lt: (order) => order < 0,
+  lte: (order) => order <= 0,
+};
+
+const matchesCondition = (value, operator, expected) => {
+  if (RANGE_CHECKS[operator]) {
+    return (
+      value !== null &&
+      value !== undefined &&
+      RANGE_CHECKS[operator](compare(value, expected))
+    );
+  }
+
+  switch (operator) {
+    case "eq":
+      return sameValue(value, expected);
+    case "neq":
+      return !sameValue(value, expected);
+    case "in":
+      return expected.some((candidate) => sameValue(value, candidate));
+    // Only { not: null } (IS NOT NULL) is supported
+    case "not":
+      if (expected !== null) {
+        throw new Error("Unsupported filter operator: not");
+      }
+      return value !== null && value !== undefined;
+    case "contains":
+      return (
+        Array.isArray(value) &&
+        expected.every((item) => value.some((v) => sameValue(v, item)))
+      );
+    default:
+      throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+};
+
+const matches = (row, filters = {}) =>
+  Object.entries(filters).every(([column, condition]) => {
+    const value = row[column] ?? null;
+
+    if (condition === null) return value === null;
+
+    if (typeof condition === "object" && !Array.isArray(condition)) {
+      return Object.entries(condition).every(([operator, expected]) =>
+        matchesCondition(value, operator, expected)
+      );
+    }
+
+    return sameValue(value, condition);
+  });
+
+export const createMemoryRepository = ({ seedFile } = {}) => {
+  const tables = new Map();
+  const sequences = new Map();
+  const files = new Map();
+
+  const rowsOf = (table) => {
+    if (!tables.has(table)) tables.set(table, []);
+    return tables.get(table);
+  };
+
+  const nextId = (table) => {
+    const id = (sequences.get(table) || 0) + 1;
+    sequences.set(table, id);
+    return id;
+  };
+
+  const insertRow = (table, row) => {
+    const stored = {
+      id: nextId(table),
+      created_at: new Date().toISOString(),
+      ...clone(row),
+    };
+
+    if (
+      typeof stored.id === "number" &&
+      stored.id > (sequences.get(table) || 0)
+    ) {
+      sequences.set(table, stored.id);
+    }
+
+    rowsOf(table).push(stored);
+    return stored;
+  };
+
+  if (seedFile) {
+    const seed = JSON.parse(fs.readFileSync(seedFile, "utf8"));
+
+    for (const [table, rows] of Object.entries(seed)) {
+      rows.forEach((row) => insertRow(table, row));
+    }
+  }
+
+  return {
+    name: "memory",
+
+    list: async (table, filters, { orderBy, ascending = true, limit } = {}) => {
+      let rows = rowsOf(table).filter((row) => matches(row, filters));
+
+      if (orderBy) {
+        rows = [...rows].sort((a, b) => {
+          const result = compare(a[orderBy] ?? null, b[orderBy] ?? null);
+          // Nulls stay last in both directions, like Postgres NULLS LAST
+          if (a[orderBy] == null || b[orderBy] == null) return result;
+          return ascending ? result : -result;
+        });
+      }
+
+      if (limit) rows = rows.slice(0, limit);
+
+      return clone(rows);
+    },
+
+    get: async (table, filters) => {
+      const row = rowsOf(table).find((r) => matches(r, filters));
+      return row ? clone(row) : null;
+    },
+
+    insert: async (table, row) => clone(insertRow(table, row)),
+
+    update: async (table, filters, changes) => {
+      const updated = rowsOf(table).filter((row) => matches(row, filters));
+
+      updated.forEach((row) => Object.assign(row, clone(changes)));
+
+      return clone(updated);
+    },
+
+    delete: async (table, filters) => {
+      const rows = rowsOf(table);
+      const deleted = rows.filter((row) => matches(row, filters));
+
+      tables.set(
+        table,
+        rows.filter((row) => !deleted.includes(row))
+      );
+
+      return clone(deleted);
+    },
+
+    upsert: async (table, row, { onConflict }) => {
+      const key = Object.fromEntries(onConflict.map((c) => [c, row[c]]));
+      const existing = rowsOf(table).find((r) => matches(r, key));
+
+      if (existing) {
+        Object.assign(existing, clone(row));
+        return clone(existing);
+      }
+
+      return clone(insertRow(table, row));
+    },
+
+    upload: async (bucket, path, buffer) => {
+      const key = `${bucket}/${path}`;
+
+      if (files.has(key)) {
+        throw new Error("The resource already exists");
+      }
+
+      files.set(key, Buffer.from(buffer));
+
+      return { path, publicUrl: `memory://${key}` };
+    },
+  };
+};
@@ -0,0 +1,113 @@
+import { createClient } from "@supabase/supabase-js";
+
+const OPERATORS = ["eq", "neq", "gt", "gte", "lt", "lte", "in", "contains"];
+
+// Supabase's default max rows per request
+const PAGE_SIZE = 1000;
+
+// Translates a filter object (see index.js) into query builder calls
+const applyFilters = (query, filters = {}) => {
+  for (const [column, condition] of Object.entries(filters)) {
+    if (condition === null) {
+      query = query.is(column, null);
+    } else if (typeof condition === "object" && !Array.isArray(condition)) {
+      for (const [operator, value] of Object.entries(condition)) {
+        if (operator === "not" && value === null) {
+          query = query.not(column, "is", null);
+          continue;
+        }
+        if (!OPERATORS.includes(operator)) {
+          throw new Error(`Unsupported filter operator: ${operator}`);
+        }
+        query = query[operator](column, value);
+      }
+    } else {
+      query = query.eq(column, condition);
+    }
+  }
+
+  return query;
+};
+
+export const createSupabaseRepository = ({ url, key }) => {
+  const supabase = createClient(url, key);
+
+  // Supabase returns { data, error } instead of throwing
+  const run = async (query) => {
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return data;
+  };
+
+  return {
+    name: "supabase",
+
+    // PostgREST caps a response at PAGE_SIZE rows, so a list without a
+    // limit is read page by page. id breaks ties to keep the pages stable.
+    list: async (table, filters, { orderBy, ascending = true, limit } = {}) => {
+      const query = () => {
+        let builder = applyFilters(supabase.from(table).select("*"), filters);
+
+        if (orderBy) builder = builder.order(orderBy, { ascending });
+        return builder;
+      };
+
+      if (limit) return run(query().limit(limit));
+
+      const rows = [];
+
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const page = await run(
+          query()
+            .order("id", { ascending: true })
+            .range(from, from + PAGE_SIZE - 1)
+        );
+
+        rows.push(...page);
+        if (page.length < PAGE_SIZE) return rows;
+      }
+    },
+
+    get: async (table, filters) => {
+      const rows = await run(
+        applyFilters(supabase.from(table).select("*"), filters).limit(1)
+      );
+
+      return rows[0] || null;
+    },
+
+    insert: (table, row) =>
+      run(supabase.from(table).insert(row).select().single()),
+
+    update: (table, filters, changes) =>
+      run(applyFilters(supabase.from(table).update(changes), filters).select()),
+
+    delete: (table, filters) =>
+      run(applyFilters(supabase.from(table).delete(), filters).select()),
+
+    upsert: (table, row, { onConflict }) =>
+      run(
+        supabase
+          .from(table)
+          .upsert(row, { onConflict: onConflict.join(",") })
+          .select()
+          .single()
+      ),
+
+    upload: async (bucket, path, buffer, { contentType }) => {
+      const data = await run(
+        supabase.storage
+          .from(bucket)
+          .upload(path, buffer, { contentType, upsert: false })
+      );
+
+      const {
+        data: { publicUrl },
+      } = supabase.storage.from(bucket).getPublicUrl(path);
+
+      return { path: data.path, publicUrl };
+    },
+  };
+};
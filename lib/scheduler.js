@@ -0,0 +1,54 @@
+// Minimal in-process job runner. The clock and timer functions are
+// injectable so a test can drive runs with a fake clock:
+//
+//   const scheduler = createScheduler({ task, now: () => fakeNow });
+//   await scheduler.tick();
+//
+// A run that is still in progress is not started again; tick() returns the
+// pending run instead.
+export const createScheduler = ({
+  task,
+  intervalMs = 60 * 1000,
+  now = () => new Date(),
+  setTimer = setInterval,
+  clearTimer = clearInterval,
+  onError = (err) => console.error("Scheduled task failed:", err),
+}) => {
+  let timer = null;
+  let running = null;
+
+  const tick = () => {
+    if (!running) {
+      running = Promise.resolve()
+        .then(() => task(now()))
+        .catch(onError)
+        .finally(() => {
+          running = null;
+        });
+    }
+
+    return running;
+  };
+
+  return {
+    tick,
+
+    // Runs once right away, then every intervalMs
+    start() {
+      if (!timer) {
+        timer = setTimer(tick, intervalMs);
+        // Don't keep the process alive just for the timer
+        timer?.unref?.();
+      }
+
+      return tick();
+    },
+
+    stop() {
+      if (timer) {
+        clearTimer(timer);
+        timer = null;
+      }
+    },
+  };
+};
@@ -0,0 +1,384 @@
+import { scheduleError } from "./habitSchedule.js";
+import { recurrenceError } from "./recurrence.js";
+import { PRIORITIES } from "./todos.js";
+import { GOAL_PERIODS } from "./dailyLogGoals.js";
+import { DIFFICULTIES } from "./problemStats.js";
+import { CONTEST_SOURCES } from "./contestImport.js";
+import { RATING_IMPORT_SOURCES } from "./ratingImport.js";
+import { A2Z_STATUSES } from "./a2zSheet.js";
+
+// Request body schemas, one per resource. See validation.js for the format.
+
+const profile = { type: "string", required: true };
+const count = { type: "integer", min: 0 };
+const text = { type: "string", nullable: true };
+const url = { type: "string", nullable: true, maxLength: 2048 };
+const fileName = {
+  type: "string",
+  required: true,
+  maxLength: 200,
+  check: (value) =>
+    /[\\/]/.test(value) ? "must not contain path separators" : null,
+};
+
+export const todos = {
+  fields: {
+    profile,
+    content: { type: "string", required: true, maxLength: 1000 },
+    priority: { type: "enum", values: PRIORITIES },
+    due_date: { type: "date", nullable: true },
+    tags: {
+      type: "array",
+      maxLength: 20,
+      items: { type: "string", maxLength: 50 },
+    },
+    done: { type: "boolean" },
+    recurrence: { type: "object", nullable: true, check: recurrenceError },
+  },
+  immutable: ["profile"],
+};
+
+export const todoSubtasks = {
+  fields: {
+    content: { type: "string", required: true, maxLength: 500 },
+    done: { type: "boolean" },
+    sort_order: { type: "integer" },
+  },
+};
+
+export const habits = {
+  fields: {
+    profile,
+    name: { type: "string", required: true, maxLength: 200 },
+    sort_order: { type: "integer" },
+    schedule: { type: "object", nullable: true, check: scheduleError },
+    target: {
+      type: "number",
+      nullable: true,
+      check: (value) => (value > 0 ? null : "must be greater than 0"),
+    },
+    unit: { type: "string", nullable: true, maxLength: 30 },
+  },
+  immutable: ["profile"],
+};
+
+export const habitOrder = {
+  fields: {
+    ids: {
+      type: "array",
+      required: true,
+      maxLength: 500,
+      items: { type: "id" },
+      check: (ids) =>
+        new Set(ids.map(String)).size === ids.length
+          ? null
+          : "must not contain duplicates",
+    },
+  },
+};
+
+export const habitEntries = {
+  fields: {
+    habit_id: { type: "id", required: true },
+    date: { type: "date", required: true },
+    completed: { type: "boolean" },
+    value: { type: "number", nullable: true, min: 0 },
+  },
+};
+
+// Each item is checked against habitEntries by the batch handler
+export const habitEntryBatch = {
+  fields: {
+    entries: {
+      type: "array",
+      required: true,
+      maxLength: 500,
+      items: { type: "object" },
+    },
+  },
+};
+
+export const cpRatings = {
+  fields: {
+    rating: { ...count, required: true },
+  },
+};
+
+// A platform's rating export; dry_run only reports what would be created
+export const ratingImport = {
+  fields: {
+    platform: { type: "enum", required: true, values: RATING_IMPORT_SOURCES },
+    payload: { type: "object", required: true },
+    dry_run: { type: "boolean" },
+  },
+};
+
+// What happened in a contest, shared by logs entered by hand and logs
+// pre-filled from a calendar contest
+const contestResults = {
+  problems_solved: count,
+  total_problems: count,
+  notes: text,
+  rank: { type: "integer", nullable: true, min: 1 },
+  old_rating: { ...count, nullable: true },
+  new_rating: { ...count, nullable: true },
+};
+
+export const contestLogs = {
+  fields: {
+    profile,
+    platform: { type: "string", required: true },
+    contest_name: { type: "string", required: true },
+    date: { type: "date", required: true },
+    ...contestResults,
+  },
+  immutable: ["profile"],
+};
+
+export const contestLogFromContest = { fields: contestResults };
+
+export const contests = {
+  fields: {
+    platform: { type: "string", required: true, maxLength: 50 },
+    name: { type: "string", required: true, maxLength: 300 },
+    start_time: { type: "datetime", required: true },
+    duration_minutes: { type: "integer", nullable: true, min: 1 },
+    registration: {
+      type: "enum",
+      values: ["open", "closed", "not_open", "unknown"],
+    },
+    url,
+  },
+};
+
+// Exactly one of payload, fixture or url is checked by the handler
+export const contestImport = {
+  fields: {
+    platform: { type: "enum", required: true, values: CONTEST_SOURCES },
+    payload: { type: "object" },
+    fixture: { ...fileName, required: false },
+    url: { type: "string", maxLength: 2048 },
+  },
+};
+
+export const contestProblems = {
+  fields: {
+    problem_index: { type: "string", required: true, maxLength: 10 },
+    name: { type: "string", nullable: true, maxLength: 200 },
+    solved_in_contest: { type: "boolean" },
+    upsolved: { type: "boolean" },
+    wrong_attempts: count,
+    ac_time_minutes: { ...count, nullable: true },
+    tags: {
+      type: "array",
+      maxLength: 20,
+      items: { type: "string", maxLength: 50 },
+    },
+  },
+};
+
+export const a2zProgress = {
+  fields: {
+    easy_total: count,
+    easy_solved: count,
+    medium_total: count,
+    medium_solved: count,
+    hard_total: count,
+    hard_solved: count,
+  },
+};
+
+export const a2zProblemStatus = {
+  fields: {
+    status: { type: "enum", required: true, values: A2Z_STATUSES },
+  },
+};
+
+export const blind75 = {
+  fields: {
+    profile,
+    question_name: { type: "string", required: true },
+    solution_link: url,
+    completed: { type: "boolean" },
+  },
+  immutable: ["profile"],
+};
+
+export const courses = {
+  fields: {
+    profile,
+    course_name: { type: "string", required: true },
+    platform: { type: "string", required: true },
+    total_content: count,
+    completed_content: count,
+  },
+  immutable: ["profile"],
+};
+
+export const certificates = {
+  fields: {
+    profile,
+    title: { type: "string", required: true },
+    issuer: { type: "string", required: true },
+    date: { type: "date", required: true },
+    file_url: url,
+  },
+  immutable: ["profile"],
+};
+
+export const resumeSections = {
+  fields: {
+    title: { type: "string" },
+    content: text,
+    sort_order: { type: "integer" },
+  },
+};
+
+export const projects = {
+  fields: {
+    profile,
+    project_name: { type: "string", required: true },
+    description: text,
+    notes: text,
+  },
+  immutable: ["profile"],
+};
+
+export const skills = {
+  fields: {
+    profile,
+    skill_name: { type: "string", required: true },
+    notes: text,
+  },
+  immutable: ["profile"],
+};
+
+export const caseStudies = {
+  fields: {
+    profile,
+    title: { type: "string", required: true },
+    notes: text,
+    date: { type: "date", required: true },
+  },
+  immutable: ["profile"],
+};
+
+export const guesstimates = {
+  fields: {
+    profile,
+    topic: { type: "string", required: true },
+    learnings: text,
+    notes: text,
+  },
+  immutable: ["profile"],
+};
+
+export const caseCompetitions = {
+  fields: {
+    profile,
+    competition_name: { type: "string", required: true },
+    notes: text,
+    document_url: url,
+  },
+  immutable: ["profile"],
+};
+
+export const profiles = {
+  fields: {
+    name: { type: "string", required: true },
+    display_name: { type: "string", maxLength: 100 },
+    daily_log_metrics: {
+      type: "array",
+      required: true,
+      maxLength: 20,
+      items: { type: "object" },
+    },
+  },
+  immutable: ["name"],
+};
+
+export const certificateUpload = {
+  fields: {
+    profile,
+    fileName,
+    fileBase64: { type: "string", required: true },
+  },
+};
+
+export const caseCompetitionDocUpload = {
+  fields: {
+    profile,
+    fileName,
+    fileBase64: { type: "string", required: true },
+  },
+};
+
+// Daily log fields depend on the metrics a profile declares
+export const dailyLogs = (dailyLogProfile) => {
+  const fields = {
+    date: { type: "date", required: true },
+    notes: text,
+  };
+
+  for (const { key } of dailyLogProfile.daily_log_metrics) {
+    fields[key] = count;
+  }
+
+  return { fields };
+};
+
+// Body of PUT /daily-logs/:profile/:date. Metric values overwrite what is
+// stored; `increment` adds to it, e.g. { increment: { dsa_questions_solved: 3 } }.
+export const dailyLogUpsert = (dailyLogProfile) => {
+  const keys = dailyLogProfile.daily_log_metrics.map((metric) => metric.key);
+  const { fields } = dailyLogs(dailyLogProfile);
+
+  delete fields.date;
+
+  fields.increment = {
+    type: "object",
+    check: (increment) => {
+      for (const [key, amount] of Object.entries(increment)) {
+        if (!keys.includes(key)) return `unknown metric: ${key}`;
+        if (!Number.isInteger(amount)) return `${key} must be an integer`;
+      }
+      return null;
+    },
+  };
+
+  return { fields };
+};
+
+export const dailyLogGoals = (dailyLogProfile) => ({
+  fields: {
+    metric: {
+      type: "enum",
+      required: true,
+      values: dailyLogProfile.daily_log_metrics.map((metric) => metric.key),
+    },
+    period: { type: "enum", required: true, values: GOAL_PERIODS },
+    target: { type: "integer", required: true, min: 1 },
+  },
+  immutable: ["metric", "period"],
+});
+
+// `metric` is checked against the profile's daily log metrics by the handler
+export const solvedProblems = {
+  fields: {
+    profile,
+    date: { type: "date", required: true },
+    metric: { type: "string" },
+    name: { type: "string", required: true, maxLength: 300 },
+    link: url,
+    platform: { type: "string", nullable: true, maxLength: 50 },
+    difficulty: { type: "enum", nullable: true, values: DIFFICULTIES },
+    topics: {
+      type: "array",
+      maxLength: 20,
+      items: { type: "string", maxLength: 50 },
+    },
+    time_taken_minutes: { type: "integer", nullable: true, min: 0 },
+    attempts: { type: "integer", min: 1 },
+  },
+  immutable: ["profile"],
+};
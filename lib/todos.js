@@ -0,0 +1,48 @@
+// Ordering rules for GET /todos. Sorting happens here rather than in the
+// query because priorities are stored as text and "high" must come first.
+
+export const PRIORITIES = ["low", "medium", "high"];
+export const TODO_SORTS = ["created_at", "priority", "due_date"];
+
+const priorityRank = (todo) => PRIORITIES.indexOf(todo.priority ?? "medium");
+
+// Earliest due date first; todos without one go last
+const compareDueDates = (a, b) => {
+  if (a.due_date === b.due_date) return 0;
+  if (!a.due_date) return 1;
+  if (!b.due_date) return -1;
+  return a.due_date < b.due_date ? -1 : 1;
+};
+
+// Newest first, matching the original GET /todos order
+const compareCreated = (a, b) =>
+  String(b.created_at ?? "").localeCompare(String(a.created_at ?? ""));
+
+const COMPARATORS = {
+  created_at: compareCreated,
+  priority: (a, b) =>
+    priorityRank(b) - priorityRank(a) ||
+    compareDueDates(a, b) ||
+    compareCreated(a, b),
+  due_date: (a, b) =>
+    compareDueDates(a, b) ||
+    priorityRank(b) - priorityRank(a) ||
+    compareCreated(a, b),
+};
+
+export const sortTodos = (todos, sort = "created_at") =>
+  [...todos].sort(COMPARATORS[sort]);
+
+// Subtask counts and completion percentage for a todo. Without subtasks the
+// percentage simply follows the todo's own done flag.
+export const todoProgress = (todo, subtasks) => {
+  const own = subtasks.filter(
+    (subtask) => String(subtask.todo_id) === String(todo.id)
+  );
+  const done = own.filter((subtask) => subtask.done).length;
+  let progress = todo.done ? 100 : 0;
+
+  if (own.length > 0) progress = Math.round((done / own.length) * 100);
+
+  return { subtasks_total: own.length, subtasks_done: done, progress };
+};
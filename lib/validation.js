@@ -0,0 +1,144 @@
+import { isValidDate } from "./dates.js";
+
+// Declarative request body validation.
+//
+// A schema is { fields, immutable }. Each field spec has a `type` plus
+// optional `required`, `nullable`, `min`, `max`, `maxLength`, `values`
+// (for enums) and `items` (for arrays). Unknown fields are dropped, and
+// fields listed in `immutable` are only accepted when creating a row.
+
+// Columns managed by the database that clients may never write
+const SYSTEM_FIELDS = ["id", "created_at", "updated_at"];
+
+// Returns an error message for a single value, or null when it is valid
+const checkValue = (spec, value) => {
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") return "must be a string";
+      if (spec.required && value.trim() === "") return "must not be empty";
+      if (spec.maxLength && value.length > spec.maxLength) {
+        return `must be at most ${spec.maxLength} characters`;
+      }
+      return null;
+    case "integer":
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return "must be a number";
+      }
+      if (spec.type === "integer" && !Number.isInteger(value)) {
+        return "must be an integer";
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return `must be at least ${spec.min}`;
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return `must be at most ${spec.max}`;
+      }
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be a boolean";
+    case "date":
+      return isValidDate(value) ? null : "must be a date (YYYY-MM-DD)";
+    case "datetime":
+      return typeof value === "string" && !Number.isNaN(Date.parse(value))
+        ? null
+        : "must be an ISO 8601 timestamp";
+    case "id":
+      return (typeof value === "string" && value.trim() !== "") ||
+        (Number.isInteger(value) && value > 0)
+        ? null
+        : "must be a valid id";
+    case "enum":
+      return spec.values.includes(value)
+        ? null
+        : `must be one of: ${spec.values.join(", ")}`;
+    case "array": {
+      if (!Array.isArray(value)) return "must be an array";
+      if (spec.maxLength && value.length > spec.maxLength) {
+        return `must have at most ${spec.maxLength} items`;
+      }
+      for (const item of value) {
+        const itemError = spec.items && checkValue(spec.items, item);
+        if (itemError) return `items ${itemError}`;
+      }
+      return null;
+    }
+    case "object":
+      return value && typeof value === "object" && !Array.isArray(value)
+        ? null
+        : "must be an object";
+    default:
+      throw new Error(`Unknown schema type: ${spec.type}`);
+  }
+};
+
+// Returns { value, errors } where errors maps field names to messages
+export const validate = (schema, body, { partial = false } = {}) => {
+  const value = {};
+  const errors = {};
+  const input = body && typeof body === "object" ? body : {};
+  const immutable = new Set([...SYSTEM_FIELDS, ...(schema.immutable || [])]);
+
+  for (const [field, spec] of Object.entries(schema.fields)) {
+    if (partial && immutable.has(field)) continue;
+
+    const fieldValue = input[field];
+
+    if (fieldValue === undefined) {
+      if (spec.required && !partial) errors[field] = "is required";
+      continue;
+    }
+
+    if (fieldValue === null) {
+      if (spec.nullable) {
+        value[field] = null;
+      } else {
+        errors[field] = spec.required ? "is required" : "must not be null";
+      }
+      continue;
+    }
+
+    const message = checkValue(spec, fieldValue) || spec.check?.(fieldValue);
+
+    if (message) {
+      errors[field] = message;
+    } else {
+      value[field] = fieldValue;
+    }
+  }
+
+  return { value, errors };
+};
+
+// Express middleware: validates req.body against the schema and replaces it
+// with the sanitized copy. Pass { partial: true } for updates. A body is only
+// validated once, so when two registered paths match (/habits/order and
+// /habits/:id) the one registered first wins.
+export const validateBody =
+  (schema, options = {}) =>
+  (req, res, next) => {
+    if (req.bodyValidated) return next();
+
+    const { value, errors } = validate(schema, req.body, options);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    if (options.partial && Object.keys(value).length === 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "No updatable fields provided",
+      });
+    }
+
+    req.body = value;
+    req.bodyValidated = true;
+    next();
+  };
@@ -1,26 +1,130 @@
 import express from "express";
-import { createClient } from "@supabase/supabase-js";
 import cors from "cors";
 import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+} from "./lib/auth.js";
+import * as schemas from "./lib/schemas.js";
+import { validate, validateBody } from "./lib/validation.js";
+import { createRepository } from "./lib/repository/index.js";
+import {
+  addDays,
+  dateInTimeZone,
+  daysBetween,
+  isValidDate,
+  isValidTimeZone,
+} from "./lib/dates.js";
+import {
+  dayStatuses,
+  entriesForHabit,
+  entryProgress,
+  habitHeatmap,
+  habitStats,
+  isEntryComplete,
+} from "./lib/habitStats.js";
+import { weekStart } from "./lib/habitSchedule.js";
+import { TODO_SORTS, sortTodos, todoProgress } from "./lib/todos.js";
+import {
+  GRANULARITIES,
+  periodStart,
+  previousPeriodStart,
+  summarizeDailyLogs,
+} from "./lib/dailyLogStats.js";
+import { goalReport } from "./lib/dailyLogGoals.js";
+import { problemBreakdown } from "./lib/problemStats.js";
+import { platformKey, ratingBand } from "./lib/ratingBands.js";
+import { contestStats } from "./lib/contestStats.js";
+import { loadContestFeed, parseContestFeed } from "./lib/contestImport.js";
+import { parseRatingExport } from "./lib/ratingImport.js";
+import {
+  a2zCompletion,
+  a2zCounters,
+  a2zSheetTree,
+  loadA2zSheet,
+} from "./lib/a2zSheet.js";
+import {
+  arrivedOccurrence,
+  upcomingOccurrence,
+  withMonthlyDay,
+} from "./lib/recurrence.js";
+import { createScheduler } from "./lib/scheduler.js";
+import { createKeyedLock } from "./lib/lock.js";
 
 dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-app.use(cors());
+// Comma-separated list of frontend origins allowed to call the API. Browsers
+// are refused everything without it, so it has to be set.
+const corsOrigins = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+if (corsOrigins.length === 0) {
+  console.error("❌ Missing CORS_ORIGINS in environment variables");
+  process.exit(1);
+}
+
+app.use(cors({ origin: corsOrigins }));
 app.use(express.json({ limit: "5mb" }));
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
+const authSecret = process.env.AUTH_SECRET;
+// Needed to claim a profile, so nobody who can merely reach the server can
+// set the first password of e.g. a built-in profile
+const registrationCode = process.env.AUTH_REGISTRATION_CODE;
+const tokenTtlSeconds =
+  Number(process.env.AUTH_TOKEN_TTL_HOURS || 24 * 7) * 60 * 60;
+
+if (!authSecret) {
+  console.error("❌ Missing AUTH_SECRET in environment variables");
+  process.exit(1);
+}
+
+if (!registrationCode) {
+  console.error("❌ Missing AUTH_REGISTRATION_CODE in environment variables");
+  process.exit(1);
+}
 
-if (!supabaseUrl || !supabaseKey) {
-  console.error("❌ Missing Supabase credentials in environment variables");
+// Recurring todos roll over at midnight in this zone
+const todoTimeZone = process.env.TODO_TIME_ZONE || "UTC";
+
+if (!isValidTimeZone(todoTimeZone)) {
+  console.error(`❌ Invalid TODO_TIME_ZONE: ${todoTimeZone}`);
   process.exit(1);
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+// Bundled data files (contest fixtures, the A2Z sheet)
+const dataDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "data");
+
+// Contest calendar imports read saved feeds from this folder, or fetch from
+// URLs on the origin of one of CONTEST_FEED_URLS (e.g. a local stand-in server)
+const contestFixturesDir =
+  process.env.CONTEST_FIXTURES_DIR || path.join(dataDir, "contests");
+
+// POST /a2z-sheet/seed loads the sheet from this file
+const a2zSheetFile = path.join(dataDir, "a2z-sheet.json");
+const contestFeedUrls = (process.env.CONTEST_FEED_URLS || "")
+  .split(",")
+  .map((url) => url.trim())
+  .filter(Boolean);
+
+// DATA_BACKEND=memory runs the API without a Supabase project
+let db;
+
+try {
+  db = createRepository();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
 
 // ==================== HEALTH CHECK ====================
 app.get("/", (req, res) => {
@@ -31,12 +135,434 @@ app.get("/", (req, res) => {
   });
 });
 
+// ==================== AUTH ====================
+
+// Credentials must be plain strings: an object would be read as filter
+// operators by the repository (e.g. { in: [...] } matching several profiles)
+const areCredentialStrings = (...values) =>
+  values.every((value) => typeof value === "string");
+
+const invalidCredentialTypes = (res) =>
+  res.status(400).json({
+    success: false,
+    data: null,
+    error: "Credentials must be strings",
+  });
+
+// POST /auth/register
+// Sets the password for a profile that does not have one yet
+app.post("/auth/register", async (req, res) => {
+  try {
+    const { profile, password, registration_code } = req.body;
+
+    if (!profile || !password) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Profile and password are required",
+      });
+    }
+
+    if (!areCredentialStrings(profile, password)) {
+      return invalidCredentialTypes(res);
+    }
+
+    if (typeof password !== "string" || password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Password must be at least 8 characters",
+      });
+    }
+
+    if (registration_code !== registrationCode) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        error: "Invalid registration code",
+      });
+    }
+
+    if (!(await getProfile(profile))) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Profile not found",
+      });
+    }
+
+    if (await db.get("profile_credentials", { profile })) {
+      return res.status(409).json({
+        success: false,
+        data: null,
+        error: "Profile is already registered",
+      });
+    }
+
+    await db.insert("profile_credentials", {
+      profile,
+      password_hash: await hashPassword(password),
+    });
+
+    console.log("✅ Profile registered:", profile);
+
+    res.json({
+      success: true,
+      data: { profile, token: signToken(profile, authSecret, tokenTtlSeconds) },
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error registering profile:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// POST /auth/login
+app.post("/auth/login", async (req, res) => {
+  try {
+    const { profile, password } = req.body;
+
+    if (!profile || !password) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Profile and password are required",
+      });
+    }
+
+    if (!areCredentialStrings(profile, password)) {
+      return invalidCredentialTypes(res);
+    }
+
+    const data = await db.get("profile_credentials", { profile });
+
+    if (!data || !(await verifyPassword(password, data.password_hash))) {
+      return res.status(401).json({
+        success: false,
+        data: null,
+        error: "Invalid profile or password",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { profile, token: signToken(profile, authSecret, tokenTtlSeconds) },
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error logging in:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// Every route registered below this point needs a valid bearer token.
+// The caller's profile ends up in req.profile, and any `profile` passed in
+// the query string or body has to match it. Only reference data without a
+// profile column (the contest calendar, the A2Z sheet, resume sections) is
+// shared by the whole team and needs nothing more than a login; contest
+// plans and A2Z statuses on top of it are still per profile. Lists that took
+// no profile before logins existed (Blind 75, case prep, CP ratings, contest
+// logs, A2Z) fall back to the caller's when `?profile=` is left out.
+const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+  const claims = verifyToken(token, authSecret);
+
+  if (!claims) {
+    return res.status(401).json({
+      success: false,
+      data: null,
+      error: "Authentication required",
+    });
+  }
+
+  req.profile = claims.sub;
+
+  const requested = [req.query.profile, req.body?.profile].filter(
+    (profile) => profile !== undefined
+  );
+
+  if (requested.some((profile) => profile !== req.profile)) {
+    return res.status(403).json({
+      success: false,
+      data: null,
+      error: "You can only access your own profile",
+    });
+  }
+
+  next();
+};
+
+app.use(requireAuth);
+
+// GET /auth/me
+app.get("/auth/me", (req, res) => {
+  res.json({
+    success: true,
+    data: { profile: req.profile },
+    error: null,
+  });
+});
+
+// PUT /auth/password
+app.put("/auth/password", async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "current_password and new_password are required",
+      });
+    }
+
+    if (!areCredentialStrings(current_password, new_password)) {
+      return invalidCredentialTypes(res);
+    }
+
+    if (typeof new_password !== "string" || new_password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Password must be at least 8 characters",
+      });
+    }
+
+    const existing = await db.get("profile_credentials", {
+      profile: req.profile,
+    });
+
+    if (
+      !existing ||
+      !(await verifyPassword(current_password, existing.password_hash))
+    ) {
+      return res.status(401).json({
+        success: false,
+        data: null,
+        error: "Current password is incorrect",
+      });
+    }
+
+    await db.update(
+      "profile_credentials",
+      { id: existing.id },
+      { password_hash: await hashPassword(new_password) }
+    );
+
+    console.log("✅ Password changed:", req.profile);
+
+    res.json({
+      success: true,
+      data: { profile: req.profile },
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error changing password:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// ==================== REQUEST VALIDATION ====================
+
+// Bodies are checked against lib/schemas.js before reaching the handlers
+// below. Unknown and immutable fields are stripped; anything invalid gets a
+// 400 with per-field details. Daily log bodies depend on the profile's
+// metrics and are validated in that section instead.
+app.post("/todos", validateBody(schemas.todos));
+app.put("/todos/:id", validateBody(schemas.todos, { partial: true }));
+app.post("/todos/:id/subtasks", validateBody(schemas.todoSubtasks));
+app.put(
+  "/todos/:id/subtasks/:subtaskId",
+  validateBody(schemas.todoSubtasks, { partial: true })
+);
+app.post("/habits", validateBody(schemas.habits));
+app.put("/habits/order", validateBody(schemas.habitOrder));
+app.put("/habits/:id", validateBody(schemas.habits, { partial: true }));
+app.post("/habit-entries", validateBody(schemas.habitEntries));
+app.put("/habit-entries", validateBody(schemas.habitEntries));
+app.post("/habit-entries/batch", validateBody(schemas.habitEntryBatch));
+app.put(
+  "/habit-entries/:id",
+  validateBody(schemas.habitEntries, { partial: true })
+);
+app.post("/solved-problems", validateBody(schemas.solvedProblems));
+app.put(
+  "/solved-problems/:id",
+  validateBody(schemas.solvedProblems, { partial: true })
+);
+app.post("/cp-ratings/import", validateBody(schemas.ratingImport));
+app.put("/cp-ratings/:platform", validateBody(schemas.cpRatings));
+app.post("/contest-logs", validateBody(schemas.contestLogs));
+app.put(
+  "/contest-logs/:id",
+  validateBody(schemas.contestLogs, { partial: true })
+);
+app.post("/contests", validateBody(schemas.contests));
+app.post("/contests/import", validateBody(schemas.contestImport));
+app.put("/contests/:id", validateBody(schemas.contests, { partial: true }));
+app.post(
+  "/contests/:id/contest-log",
+  validateBody(schemas.contestLogFromContest)
+);
+app.post("/contest-logs/:id/problems", validateBody(schemas.contestProblems));
+app.put(
+  "/contest-logs/:id/problems/:problemId",
+  validateBody(schemas.contestProblems, { partial: true })
+);
+app.put("/a2z-progress", validateBody(schemas.a2zProgress, { partial: true }));
+app.put("/a2z-sheet/problems/:id", validateBody(schemas.a2zProblemStatus));
+app.post("/blind75", validateBody(schemas.blind75));
+app.put("/blind75/:id", validateBody(schemas.blind75, { partial: true }));
+app.post("/courses", validateBody(schemas.courses));
+app.put("/courses/:id", validateBody(schemas.courses, { partial: true }));
+app.post("/certificates", validateBody(schemas.certificates));
+app.put(
+  "/resume-sections/:id",
+  validateBody(schemas.resumeSections, { partial: true })
+);
+app.post("/projects", validateBody(schemas.projects));
+app.put("/projects/:id", validateBody(schemas.projects, { partial: true }));
+app.post("/skills", validateBody(schemas.skills));
+app.put("/skills/:id", validateBody(schemas.skills, { partial: true }));
+app.post("/case-studies", validateBody(schemas.caseStudies));
+app.put(
+  "/case-studies/:id",
+  validateBody(schemas.caseStudies, { partial: true })
+);
+app.post("/guesstimates", validateBody(schemas.guesstimates));
+app.put(
+  "/guesstimates/:id",
+  validateBody(schemas.guesstimates, { partial: true })
+);
+app.post("/case-competitions", validateBody(schemas.caseCompetitions));
+app.put(
+  "/case-competitions/:id",
+  validateBody(schemas.caseCompetitions, { partial: true })
+);
+app.post("/profiles", validateBody(schemas.profiles));
+app.put("/profiles/:name", validateBody(schemas.profiles, { partial: true }));
+app.post("/upload/certificate", validateBody(schemas.certificateUpload));
+app.post(
+  "/upload/case-competition-doc",
+  validateBody(schemas.caseCompetitionDocUpload)
+);
+
 // ==================== 1️⃣ TODOS ====================
 
-// GET /todos?profile=piyush
+// Returns the todo when it belongs to the given profile, otherwise null
+const findOwnedTodo = (id, profile) => db.get("todos", { id, profile });
+
+const RECURRING_TODO_INTERVAL_MS = 15 * 60 * 1000;
+
+// Recurring todos need a due date to count occurrences from
+const recurrenceWithoutDueDate = (res) =>
+  res.status(400).json({
+    success: false,
+    data: null,
+    error: "Validation failed",
+    details: { due_date: "is required for recurring todos" },
+  });
+
+// Creates the occurrence of a recurring todo due on `dueDate` and links it
+// from the todo's next_todo_id. Returns null when the todo already has one.
+const createNextOccurrence = async (todo, dueDate) => {
+  const next = await db.insert("todos", {
+    profile: todo.profile,
+    content: todo.content,
+    priority: todo.priority || "medium",
+    due_date: dueDate,
+    tags: todo.tags || [],
+    done: false,
+    completed_at: null,
+    recurrence: withMonthlyDay(todo.recurrence, todo.due_date),
+    next_todo_id: null,
+  });
+
+  // Only link if nobody else got there first, otherwise undo the insert
+  const [linked] = await db.update(
+    "todos",
+    { id: todo.id, next_todo_id: null },
+    { next_todo_id: next.id }
+  );
+
+  if (!linked) {
+    await db.delete("todos", { id: next.id });
+    return null;
+  }
+
+  console.log("✅ Recurring todo created:", next);
+
+  return next;
+};
+
+// Creates the next occurrence of a recurring todo that was just completed.
+// Returns the todo with next_todo_id filled in when one was created.
+const queueNextOccurrence = async (todo) => {
+  if (!todo.recurrence || todo.next_todo_id) return todo;
+
+  const next = await createNextOccurrence(
+    todo,
+    upcomingOccurrence(
+      todo.recurrence,
+      todo.due_date,
+      dateInTimeZone(new Date(), todoTimeZone)
+    )
+  );
+
+  return next ? { ...todo, next_todo_id: next.id } : todo;
+};
+
+// Scheduler task: creates the next occurrence of every recurring todo whose
+// date has arrived. Takes the current time so it can run on a fake clock.
+const materializeRecurringTodos = async (now) => {
+  const today = dateInTimeZone(now, todoTimeZone);
+  const todos = await db.list("todos", {
+    recurrence: { not: null },
+    next_todo_id: null,
+    due_date: { lte: today },
+  });
+  const created = [];
+
+  for (const todo of todos) {
+    const dueDate = arrivedOccurrence(todo.recurrence, todo.due_date, today);
+    if (!dueDate) continue;
+
+    const next = await createNextOccurrence(todo, dueDate);
+    if (next) created.push(next);
+  }
+
+  return created;
+};
+
+const todoScheduler = createScheduler({
+  task: materializeRecurringTodos,
+  intervalMs: RECURRING_TODO_INTERVAL_MS,
+});
+
+// GET /todos?profile=piyush&status=open&tag=dsa&due_from=YYYY-MM-DD&due_to=YYYY-MM-DD&sort=priority
 app.get("/todos", async (req, res) => {
   try {
-    const { profile } = req.query;
+    const {
+      profile,
+      status,
+      tag,
+      due_from,
+      due_to,
+      sort = "created_at",
+    } = req.query;
 
     if (!profile) {
       return res.status(400).json({
@@ -46,13 +572,56 @@ app.get("/todos", async (req, res) => {
       });
     }
 
-    const { data, error } = await supabase
-      .from("todos")
-      .select("*")
-      .eq("profile", profile)
-      .order("created_at", { ascending: false });
+    if (status && !["open", "done"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "status must be one of: open, done",
+      });
+    }
+
+    if (!TODO_SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: `sort must be one of: ${TODO_SORTS.join(", ")}`,
+      });
+    }
+
+    if (
+      (due_from && !isValidDate(due_from)) ||
+      (due_to && !isValidDate(due_to))
+    ) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "due_from and due_to must be dates (YYYY-MM-DD)",
+      });
+    }
+
+    const filters = { profile };
 
-    if (error) throw error;
+    if (status === "done") filters.done = true;
+    if (tag) filters.tags = { contains: [tag] };
+    if (due_from || due_to) {
+      filters.due_date = {};
+      if (due_from) filters.due_date.gte = due_from;
+      if (due_to) filters.due_date.lte = due_to;
+    }
+
+    // Rows created before the done flag existed have it NULL, which a
+    // `done = false` filter would miss
+    const todos = (await db.list("todos", filters)).filter(
+      (todo) => status !== "open" || !todo.done
+    );
+    const subtasks = await db.list("todo_subtasks", {
+      todo_id: { in: todos.map((todo) => todo.id) },
+    });
+
+    const data = sortTodos(todos, sort).map((todo) => ({
+      ...todo,
+      ...todoProgress(todo, subtasks),
+    }));
 
     res.json({
       success: true,
@@ -72,23 +641,24 @@ app.get("/todos", async (req, res) => {
 // POST /todos
 app.post("/todos", async (req, res) => {
   try {
-    const { profile, content } = req.body;
+    const { profile, content, priority, due_date, tags, done, recurrence } =
+      req.body;
 
-    if (!profile || !content) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: "Profile and content are required",
-      });
+    if (recurrence && !due_date) {
+      return recurrenceWithoutDueDate(res);
     }
 
-    const { data, error } = await supabase
-      .from("todos")
-      .insert({ profile, content })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const data = await db.insert("todos", {
+      profile,
+      content,
+      priority: priority || "medium",
+      due_date: due_date ?? null,
+      tags: tags || [],
+      done: done || false,
+      completed_at: done ? new Date().toISOString() : null,
+      recurrence: withMonthlyDay(recurrence, due_date) ?? null,
+      next_todo_id: null,
+    });
 
     console.log("✅ Todo created:", data);
 
@@ -111,16 +681,45 @@ app.post("/todos", async (req, res) => {
 app.put("/todos/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = { ...req.body };
+
+    const todo = await db.get("todos", { id, profile: req.profile });
+
+    if (!todo) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Todo not found",
+      });
+    }
+
+    const recurrence =
+      updates.recurrence !== undefined ? updates.recurrence : todo.recurrence;
+    const dueDate =
+      updates.due_date !== undefined ? updates.due_date : todo.due_date;
+
+    if (recurrence && !dueDate) {
+      return recurrenceWithoutDueDate(res);
+    }
+
+    if (recurrence) updates.recurrence = withMonthlyDay(recurrence, dueDate);
+
+    const completing = updates.done === true && !todo.done;
+
+    // completed_at is stamped when the todo is first marked done and
+    // cleared when it is reopened
+    if (updates.done !== undefined && updates.done !== Boolean(todo.done)) {
+      updates.completed_at = updates.done ? new Date().toISOString() : null;
+    }
 
-    const { data, error } = await supabase
-      .from("todos")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
+    const [updated] = await db.update(
+      "todos",
+      { id, profile: req.profile },
+      updates
+    );
 
-    if (error) throw error;
+    // Completing a recurring todo queues up its next occurrence right away
+    const data = completing ? await queueNextOccurrence(updated) : updated;
 
     console.log("✅ Todo updated:", data);
 
@@ -144,9 +743,17 @@ app.delete("/todos/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase.from("todos").delete().eq("id", id);
+    if (!(await findOwnedTodo(id, req.profile))) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Todo not found",
+      });
+    }
 
-    if (error) throw error;
+    // First delete the subtasks, then the todo itself
+    await db.delete("todo_subtasks", { todo_id: id });
+    await db.delete("todos", { id });
 
     console.log("✅ Todo deleted:", id);
 
@@ -165,28 +772,51 @@ app.delete("/todos/:id", async (req, res) => {
   }
 });
 
-// ==================== 2️⃣ HABITS ====================
+// ==================== TODO SUBTASKS ====================
 
-// GET /habits?profile=piyush
-app.get("/habits", async (req, res) => {
+// Marks the todo done once every one of its subtasks is done, and returns
+// it with its progress. Reopening a subtask does not reopen the todo.
+const syncTodoCompletion = async (todo) => {
+  const subtasks = await db.list("todo_subtasks", { todo_id: todo.id });
+  let data = todo;
+
+  if (
+    !todo.done &&
+    subtasks.length > 0 &&
+    subtasks.every((subtask) => subtask.done)
+  ) {
+    const [completed] = await db.update(
+      "todos",
+      { id: todo.id },
+      { done: true, completed_at: new Date().toISOString() }
+    );
+
+    console.log("✅ Todo completed by its subtasks:", todo.id);
+
+    data = await queueNextOccurrence(completed);
+  }
+
+  return { ...data, ...todoProgress(data, subtasks) };
+};
+
+// GET /todos/:id/subtasks
+app.get("/todos/:id/subtasks", async (req, res) => {
   try {
-    const { profile } = req.query;
+    const { id } = req.params;
 
-    if (!profile) {
-      return res.status(400).json({
+    if (!(await findOwnedTodo(id, req.profile))) {
+      return res.status(404).json({
         success: false,
         data: null,
-        error: "Profile parameter is required",
+        error: "Todo not found",
       });
     }
 
-    const { data, error } = await supabase
-      .from("habits")
-      .select("*")
-      .eq("profile", profile)
-      .order("sort_order", { ascending: true });
-
-    if (error) throw error;
+    const data = await db.list(
+      "todo_subtasks",
+      { todo_id: id },
+      { orderBy: "sort_order" }
+    );
 
     res.json({
       success: true,
@@ -194,7 +824,7 @@ app.get("/habits", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error fetching habits:", err);
+    console.error("Error fetching subtasks:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -203,36 +833,40 @@ app.get("/habits", async (req, res) => {
   }
 });
 
-// POST /habits
-app.post("/habits", async (req, res) => {
+// POST /todos/:id/subtasks
+// Returns { subtask, todo } so the client sees the parent's new progress
+app.post("/todos/:id/subtasks", async (req, res) => {
   try {
-    const { profile, name, sort_order } = req.body;
+    const { id } = req.params;
+    const { content, done, sort_order } = req.body;
 
-    if (!profile || !name) {
-      return res.status(400).json({
+    const todo = await findOwnedTodo(id, req.profile);
+
+    if (!todo) {
+      return res.status(404).json({
         success: false,
         data: null,
-        error: "Profile and name are required",
+        error: "Todo not found",
       });
     }
 
-    const { data, error } = await supabase
-      .from("habits")
-      .insert({ profile, name, sort_order: sort_order || 0 })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const subtask = await db.insert("todo_subtasks", {
+      todo_id: todo.id,
+      content,
+      done: done || false,
+      completed_at: done ? new Date().toISOString() : null,
+      sort_order: sort_order ?? 0,
+    });
 
-    console.log("✅ Habit created:", data);
+    console.log("✅ Subtask created:", subtask);
 
     res.json({
       success: true,
-      data: data,
+      data: { subtask, todo: await syncTodoCompletion(todo) },
       error: null,
     });
   } catch (err) {
-    console.error("Error creating habit:", err);
+    console.error("Error creating subtask:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -241,22 +875,2722 @@ app.post("/habits", async (req, res) => {
   }
 });
 
-// PUT /habits/:id
-app.put("/habits/:id", async (req, res) => {
+// PUT /todos/:id/subtasks/:subtaskId
+app.put("/todos/:id/subtasks/:subtaskId", async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
+    const { id, subtaskId } = req.params;
+    const updates = { ...req.body };
+
+    const todo = await findOwnedTodo(id, req.profile);
+    const existing =
+      todo && (await db.get("todo_subtasks", { id: subtaskId, todo_id: id }));
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Subtask not found",
+      });
+    }
+
+    if (updates.done !== undefined && updates.done !== Boolean(existing.done)) {
+      updates.completed_at = updates.done ? new Date().toISOString() : null;
+    }
+
+    const [subtask] = await db.update(
+      "todo_subtasks",
+      { id: subtaskId },
+      updates
+    );
+
+    console.log("✅ Subtask updated:", subtask);
+
+    res.json({
+      success: true,
+      data: { subtask, todo: await syncTodoCompletion(todo) },
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error updating subtask:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// DELETE /todos/:id/subtasks/:subtaskId
+app.delete("/todos/:id/subtasks/:subtaskId", async (req, res) => {
+  try {
+    const { id, subtaskId } = req.params;
+
+    const todo = await findOwnedTodo(id, req.profile);
+    const deleted = todo
+      ? await db.delete("todo_subtasks", { id: subtaskId, todo_id: id })
+      : [];
+
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Subtask not found",
+      });
+    }
+
+    console.log("✅ Subtask deleted:", subtaskId);
+
+    res.json({
+      success: true,
+      data: { id: subtaskId, todo: await syncTodoCompletion(todo) },
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error deleting subtask:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// ==================== 2️⃣ HABITS ====================
+
+// Returns the habit when it belongs to the given profile, otherwise null
+const findOwnedHabit = (id, profile) => db.get("habits", { id, profile });
+
+// Fills in `completed` and `value` for an entry write; `stored` is the
+// entry being overwritten, if any. Habits with a target are complete once
+// value >= target. Ticking one without a value records the target, unless
+// the stored value already meets it.
+const habitEntryFields = (habit, { completed, value }, stored = null) => {
+  if (habit.target === null || habit.target === undefined) {
+    return {
+      completed: completed ?? stored?.completed ?? false,
+      value: value === undefined ? stored?.value ?? null : value,
+    };
+  }
+
+  let amount = stored?.value ?? 0;
+  if (value !== undefined && value !== null) amount = value;
+  else if (completed === true) amount = Math.max(amount, habit.target);
+  else if (completed === false) amount = 0;
+
+  return { completed: amount >= habit.target, value: amount };
+};
+
+// GET /habits?profile=piyush&include_archived=true
+app.get("/habits", async (req, res) => {
+  try {
+    const { profile, include_archived } = req.query;
+
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Profile parameter is required",
+      });
+    }
+
+    // Archived habits are hidden unless explicitly asked for
+    const filters =
+      include_archived === "true"
+        ? { profile }
+        : { profile, archived_at: null };
+
+    const data = await db.list("habits", filters, { orderBy: "sort_order" });
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error fetching habits:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// GET /habits/stats?profile=piyush&tz=Asia/Kolkata
+app.get("/habits/stats", async (req, res) => {
+  try {
+    const { profile, tz = "UTC" } = req.query;
+
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Profile parameter is required",
+      });
+    }
+
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Invalid time zone",
+      });
+    }
+
+    const habits = await db.list(
+      "habits",
+      { profile, archived_at: null },
+      { orderBy: "sort_order" }
+    );
+    const entries = await db.list("habit_entries", {
+      habit_id: { in: habits.map((h) => h.id) },
+    });
+    const today = dateInTimeZone(new Date(), tz);
+
+    const data = habits.map((habit) =>
+      habitStats(habit, entriesForHabit(habit, entries), {
+        today,
+        timeZone: tz,
+      })
+    );
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error fetching habit stats:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// GET /habits/:id/stats?tz=Asia/Kolkata
+app.get("/habits/:id/stats", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tz = "UTC" } = req.query;
+
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Invalid time zone",
+      });
+    }
+
+    const habit = await findOwnedHabit(id, req.profile);
+
+    if (!habit) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Habit not found",
+      });
+    }
+
+    const entries = await db.list("habit_entries", { habit_id: habit.id });
+
+    res.json({
+      success: true,
+      data: habitStats(habit, entries, {
+        today: dateInTimeZone(new Date(), tz),
+        timeZone: tz,
+      }),
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error fetching habit stats:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// POST /habits
+app.post("/habits", async (req, res) => {
+  try {
+    const { profile, name, sort_order, schedule, target, unit } = req.body;
+
+    const data = await db.insert("habits", {
+      profile,
+      name,
+      sort_order: sort_order || 0,
+      schedule: schedule || null,
+      target: target ?? null,
+      unit: unit ?? null,
+    });
+
+    console.log("✅ Habit created:", data);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error creating habit:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// PUT /habits/order  { ids: [3, 1, 2] }
+// Rewrites sort_order to match the given order. Habits left out keep their
+// current position.
+app.put("/habits/order", async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    const habits = await db.list("habits", {
+      id: { in: ids },
+      profile: req.profile,
+    });
+
+    if (habits.length !== ids.length) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Habit not found",
+      });
+    }
+
+    const previous = new Map(habits.map((h) => [String(h.id), h.sort_order]));
+    const data = [];
+
+    try {
+      for (const [index, id] of ids.entries()) {
+        const [row] = await db.update(
+          "habits",
+          { id, profile: req.profile },
+          { sort_order: index }
+        );
+        data.push(row);
+      }
+    } catch (err) {
+      // Put back the order that was there before so it is all or nothing
+      await Promise.all(
+        data.map((row) =>
+          db.update(
+            "habits",
+            { id: row.id },
+            { sort_order: previous.get(String(row.id)) ?? null }
+          )
+        )
+      );
+      throw err;
+    }
+
+    console.log(`✅ Habits reordered: ${data.length}`);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error reordering habits:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// PUT /habits/:id
+app.put("/habits/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = req.body;
+
+    const [data] = await db.update(
+      "habits",
+      { id, profile: req.profile },
+      updates
+    );
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Habit not found",
+      });
+    }
+
+    console.log("✅ Habit updated:", data);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error updating habit:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// POST /habits/:id/archive
+// Hides the habit from the active list and stats; its entries are kept
+app.post("/habits/:id/archive", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [data] = await db.update(
+      "habits",
+      { id, profile: req.profile },
+      { archived_at: new Date().toISOString() }
+    );
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Habit not found",
+      });
+    }
+
+    console.log("✅ Habit archived:", id);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error archiving habit:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// POST /habits/:id/restore
+app.post("/habits/:id/restore", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [data] = await db.update(
+      "habits",
+      { id, profile: req.profile },
+      { archived_at: null }
+    );
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Habit not found",
+      });
+    }
+
+    console.log("✅ Habit restored:", id);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error restoring habit:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// DELETE /habits/:id?permanent=true
+// Archives by default. Only ?permanent=true removes the habit and its entries.
+app.delete("/habits/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const permanent = req.query.permanent === "true";
+
+    if (!(await findOwnedHabit(id, req.profile))) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Habit not found",
+      });
+    }
+
+    if (!permanent) {
+      const [data] = await db.update(
+        "habits",
+        { id },
+        { archived_at: new Date().toISOString() }
+      );
+
+      console.log("✅ Habit archived:", id);
+
+      return res.json({
+        success: true,
+        data: data,
+        error: null,
+      });
+    }
+
+    // First delete all habit entries
+    await db.delete("habit_entries", { habit_id: id });
+
+    // Then delete the habit
+    await db.delete("habits", { id });
+
+    console.log("✅ Habit deleted:", id);
+
+    res.json({
+      success: true,
+      data: { id },
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error deleting habit:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// ==================== HABIT ENTRIES ====================
+
+const MAX_HEATMAP_DAYS = 731;
+
+// GET /habit-entries?profile=piyush&from=YYYY-MM-DD&to=YYYY-MM-DD&tz=UTC
+app.get("/habit-entries", async (req, res) => {
+  try {
+    const { profile, from, to, tz = "UTC" } = req.query;
+
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Profile parameter is required",
+      });
+    }
+
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Invalid time zone",
+      });
+    }
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "from and to must be dates (YYYY-MM-DD)",
+      });
+    }
+
+    // First get all habits for this profile
+    const habits = await db.list("habits", { profile });
+
+    const habitIds = habits.map((h) => h.id);
+
+    if (habitIds.length === 0) {
+      return res.json({
+        success: true,
+        data: [],
+        error: null,
+      });
+    }
+
+    // Then get entries for those habits. A weekly quota is judged over
+    // whole weeks, so the range is widened to the weeks around from and to.
+    const range = {};
+    if (from) range.gte = weekStart(from);
+    if (to) range.lte = addDays(weekStart(to), 6);
+
+    const entries = await db.list(
+      "habit_entries",
+      { habit_id: { in: habitIds }, ...(from || to ? { date: range } : {}) },
+      { orderBy: "date", ascending: false }
+    );
+
+    // Without the earlier history, each habit's first entry still marks
+    // where tracking started
+    const firstEntryDates = new Map();
+
+    if (from) {
+      for (const habit of habits) {
+        const [first] = await db.list(
+          "habit_entries",
+          { habit_id: habit.id },
+          { orderBy: "date", limit: 1 }
+        );
+        if (first) firstEntryDates.set(String(habit.id), first.date);
+      }
+    }
+
+    const today = dateInTimeZone(new Date(), tz);
+    const habitsById = new Map(habits.map((h) => [String(h.id), h]));
+    const statuses = new Map();
+
+    for (const habit of habits) {
+      const days = dayStatuses(
+        habit,
+        entriesForHabit(habit, entries),
+        today,
+        tz,
+        firstEntryDates.get(String(habit.id))
+      );
+
+      for (const day of days) {
+        statuses.set(`${habit.id}:${day.date}`, day.status);
+      }
+    }
+
+    // Completion is re-derived in case the habit's target changed.
+    // Entries dated after today have no status yet.
+    const data = entries
+      .filter(
+        (entry) => (!from || entry.date >= from) && (!to || entry.date <= to)
+      )
+      .map((entry) => {
+        const habit = habitsById.get(String(entry.habit_id));
+        const completed = isEntryComplete(habit, entry);
+
+        return {
+          ...entry,
+          completed,
+          progress: entryProgress(habit, entry),
+          status:
+            statuses.get(`${entry.habit_id}:${entry.date}`) ||
+            (completed ? "completed" : "pending"),
+        };
+      });
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error fetching habit entries:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// GET /habit-entries/heatmap?profile=piyush&from=YYYY-MM-DD&to=YYYY-MM-DD&tz=UTC
+// Defaults to the year ending today
+app.get("/habit-entries/heatmap", async (req, res) => {
+  try {
+    const { profile, tz = "UTC" } = req.query;
+
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Profile parameter is required",
+      });
+    }
+
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Invalid time zone",
+      });
+    }
+
+    const today = dateInTimeZone(new Date(), tz);
+    const to = req.query.to || today;
+    const from = req.query.from || addDays(to, -364);
+
+    if (!isValidDate(from) || !isValidDate(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "from and to must be dates (YYYY-MM-DD) with from <= to",
+      });
+    }
+
+    if (daysBetween(from, to) > MAX_HEATMAP_DAYS) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: `Range cannot exceed ${MAX_HEATMAP_DAYS} days`,
+      });
+    }
+
+    const habits = await db.list("habits", { profile, archived_at: null });
+    const entries = await db.list("habit_entries", {
+      habit_id: { in: habits.map((h) => h.id) },
+    });
+
+    res.json({
+      success: true,
+      data: habitHeatmap(habits, entries, { from, to, today, timeZone: tz }),
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error fetching habit heatmap:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// POST /habit-entries
+app.post("/habit-entries", async (req, res) => {
+  try {
+    const { habit_id, date } = req.body;
+    const habit = await findOwnedHabit(habit_id, req.profile);
+
+    if (!habit) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Habit not found",
+      });
+    }
+
+    const data = await db.insert("habit_entries", {
+      habit_id,
+      date,
+      ...habitEntryFields(habit, req.body),
+    });
+
+    console.log("✅ Habit entry created:", data);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error creating habit entry:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// PUT /habit-entries
+// Creates or updates the entry for a habit_id + date pair
+app.put("/habit-entries", async (req, res) => {
+  try {
+    const { habit_id, date } = req.body;
+    const habit = await findOwnedHabit(habit_id, req.profile);
+
+    if (!habit) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Habit not found",
+      });
+    }
+
+    const existing = await db.get("habit_entries", { habit_id, date });
+    const data = await db.upsert(
+      "habit_entries",
+      { habit_id, date, ...habitEntryFields(habit, req.body, existing) },
+      { onConflict: ["habit_id", "date"] }
+    );
+
+    console.log("✅ Habit entry saved:", data);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error saving habit entry:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// POST /habit-entries/batch
+// Upserts many habit_id + date entries. Everything is validated up front,
+// and if a write fails the entries already written are put back.
+app.post("/habit-entries/batch", async (req, res) => {
+  try {
+    const errors = {};
+    const items = req.body.entries.map((entry, index) => {
+      const { value, errors: itemErrors } = validate(
+        schemas.habitEntries,
+        entry
+      );
+
+      for (const [field, message] of Object.entries(itemErrors)) {
+        errors[`entries[${index}].${field}`] = message;
+      }
+
+      return value;
+    });
+
+    const keys = new Set();
+
+    items.forEach((item, index) => {
+      const key = `${item.habit_id}:${item.date}`;
+      if (keys.has(key)) {
+        errors[`entries[${index}]`] = "duplicates an earlier habit_id + date";
+      }
+      keys.add(key);
+    });
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    const habitIds = [...new Set(items.map((item) => String(item.habit_id)))];
+    const owned = await db.list("habits", {
+      id: { in: habitIds },
+      profile: req.profile,
+    });
+    const habitsById = new Map(owned.map((h) => [String(h.id), h]));
+
+    if (owned.length !== habitIds.length) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Habit not found",
+      });
+    }
+
+    // Remember what each row looked like so a failure can be undone
+    const previous = await Promise.all(
+      items.map(({ habit_id, date }) =>
+        db.get("habit_entries", { habit_id, date })
+      )
+    );
+    const data = [];
+
+    try {
+      for (const [index, item] of items.entries()) {
+        const { habit_id, date } = item;
+        const habit = habitsById.get(String(habit_id));
+
+        data.push(
+          await db.upsert(
+            "habit_entries",
+            {
+              habit_id,
+              date,
+              ...habitEntryFields(habit, item, previous[index]),
+            },
+            { onConflict: ["habit_id", "date"] }
+          )
+        );
+      }
+    } catch (err) {
+      await Promise.all(
+        data.map((row, index) =>
+          previous[index]
+            ? db.update(
+                "habit_entries",
+                { id: row.id },
+                {
+                  completed: previous[index].completed,
+                  value: previous[index].value ?? null,
+                }
+              )
+            : db.delete("habit_entries", { id: row.id })
+        )
+      );
+      throw err;
+    }
+
+    console.log(`✅ Habit entries saved: ${data.length}`);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error saving habit entries:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// PUT /habit-entries/:id
+app.put("/habit-entries/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = req.body;
+
+    const entry = await db.get("habit_entries", { id });
+
+    // Both the current habit and any habit the entry moves to must be ours
+    const habitIds = [entry?.habit_id, updates.habit_id].filter(Boolean);
+    const owned = await Promise.all(
+      habitIds.map((habitId) => findOwnedHabit(habitId, req.profile))
+    );
+
+    if (!entry || owned.some((habit) => !habit)) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Habit entry not found",
+      });
+    }
+
+    // habit_id + date is unique, so an entry can't move onto a taken day
+    if (updates.habit_id || updates.date) {
+      const clash = await db.get("habit_entries", {
+        habit_id: updates.habit_id ?? entry.habit_id,
+        date: updates.date ?? entry.date,
+      });
+
+      if (clash && String(clash.id) !== String(entry.id)) {
+        return res.status(409).json({
+          success: false,
+          data: clash,
+          error: "An entry for this habit and date already exists",
+        });
+      }
+    }
+
+    // Re-derive completion against the habit the entry ends up on
+    if ("completed" in updates || "value" in updates || updates.habit_id) {
+      Object.assign(
+        updates,
+        habitEntryFields(owned[owned.length - 1], updates, entry)
+      );
+    }
+
+    const [data] = await db.update("habit_entries", { id }, updates);
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Habit entry not found",
+      });
+    }
+
+    console.log("✅ Habit entry updated:", data);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error updating habit entry:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// ==================== 3️⃣ PROFILES ====================
+
+// Profiles that existed before the profiles table. Their daily logs live in
+// dedicated tables with one column per metric, so they stay usable even if
+// no matching row has been added to `profiles`.
+const BUILTIN_PROFILES = {
+  piyush: {
+    name: "piyush",
+    display_name: "Piyush",
+    daily_log_table: "daily_logs_piyush",
+    daily_log_metrics: [
+      { key: "dsa_questions_solved", label: "DSA questions solved" },
+    ],
+  },
+  shruti: {
+    name: "shruti",
+    display_name: "Shruti",
+    daily_log_table: "daily_logs_shruti",
+    daily_log_metrics: [
+      { key: "python_questions_solved", label: "Python questions solved" },
+      { key: "sql_questions_solved", label: "SQL questions solved" },
+    ],
+  },
+};
+
+const PROFILE_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const METRIC_KEY_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+
+// Fetch a profile by name, falling back to the built-in definitions
+const getProfile = async (name) =>
+  (await db.get("profiles", { name })) || BUILTIN_PROFILES[name] || null;
+
+// Stored profiles plus the built-ins that haven't been customised, by name
+const listProfiles = async () => {
+  const data = await db.list("profiles", {}, { orderBy: "name" });
+
+  const stored = new Set(data.map((p) => p.name));
+  const builtins = Object.values(BUILTIN_PROFILES).filter(
+    (p) => !stored.has(p.name)
+  );
+
+  return [...builtins, ...data].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Returns an error message, or null when the metric list is usable
+const validateMetricDefinitions = (metrics) => {
+  if (!Array.isArray(metrics) || metrics.length === 0) {
+    return "daily_log_metrics must be a non-empty array";
+  }
+
+  const seen = new Set();
+
+  for (const metric of metrics) {
+    if (!metric || !METRIC_KEY_PATTERN.test(metric.key)) {
+      return "Each metric needs a lowercase snake_case key";
+    }
+    if (seen.has(metric.key)) {
+      return `Duplicate metric key: ${metric.key}`;
+    }
+    seen.add(metric.key);
+  }
+
+  return null;
+};
+
+const normalizeMetricDefinitions = (metrics) =>
+  metrics.map(({ key, label }) => ({ key, label: label || key }));
+
+// GET /profiles
+app.get("/profiles", async (req, res) => {
+  try {
+    const data = await listProfiles();
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error fetching profiles:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// GET /profiles/:name
+app.get("/profiles/:name", async (req, res) => {
+  try {
+    const profile = await getProfile(req.params.name);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Profile not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error fetching profile:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// POST /profiles
+app.post("/profiles", async (req, res) => {
+  try {
+    const { name, display_name, daily_log_metrics } = req.body;
+
+    if (!name || !PROFILE_NAME_PATTERN.test(name)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Name must be a lowercase slug (letters, digits, - or _)",
+      });
+    }
+
+    const metricsError = validateMetricDefinitions(daily_log_metrics);
+
+    if (metricsError) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: metricsError,
+      });
+    }
+
+    if (await getProfile(name)) {
+      return res.status(409).json({
+        success: false,
+        data: null,
+        error: "Profile already exists",
+      });
+    }
+
+    // New profiles share the generic daily_logs table
+    const data = await db.insert("profiles", {
+      name,
+      display_name: display_name || name,
+      daily_log_table: null,
+      daily_log_metrics: normalizeMetricDefinitions(daily_log_metrics),
+    });
+
+    console.log("✅ Profile created:", data);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error creating profile:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// PUT /profiles/:name
+app.put("/profiles/:name", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { display_name, daily_log_metrics } = req.body;
+
+    if (name !== req.profile) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        error: "You can only access your own profile",
+      });
+    }
+
+    const existing = await getProfile(name);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Profile not found",
+      });
+    }
+
+    const updates = {};
+
+    if (display_name !== undefined) {
+      updates.display_name = display_name;
+    }
+
+    if (daily_log_metrics !== undefined) {
+      const metricsError = validateMetricDefinitions(daily_log_metrics);
+
+      if (metricsError) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: metricsError,
+        });
+      }
+
+      // Legacy tables have a fixed set of columns
+      if (existing.daily_log_table) {
+        const columns = new Set(
+          BUILTIN_PROFILES[name]?.daily_log_metrics.map((m) => m.key) || []
+        );
+        const unknown = daily_log_metrics.find((m) => !columns.has(m.key));
+
+        if (unknown) {
+          return res.status(400).json({
+            success: false,
+            data: null,
+            error: `${existing.daily_log_table} has no column ${unknown.key}`,
+          });
+        }
+      }
+
+      updates.daily_log_metrics = normalizeMetricDefinitions(daily_log_metrics);
+    }
+
+    let data;
+
+    if (existing.id) {
+      [data] = await db.update("profiles", { id: existing.id }, updates);
+    } else {
+      // Built-in profile being customised for the first time
+      data = await db.insert("profiles", { ...existing, ...updates });
+    }
+
+    console.log("✅ Profile updated:", data);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error updating profile:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// DELETE /profiles/:name
+app.delete("/profiles/:name", async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (name !== req.profile) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        error: "You can only access your own profile",
+      });
+    }
+
+    if (BUILTIN_PROFILES[name]) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Built-in profiles cannot be deleted",
+      });
+    }
+
+    // Daily logs are kept so the profile can be recreated later
+    await db.delete("profiles", { name });
+    await db.delete("profile_credentials", { profile: name });
+
+    console.log("✅ Profile deleted:", name);
+
+    res.json({
+      success: true,
+      data: { name },
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error deleting profile:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// ==================== 4️⃣ DAILY LOGS ====================
+
+// Legacy profiles keep one table each; everyone else shares daily_logs,
+// where metric values are stored in a `metrics` JSON column.
+const dailyLogTable = (profile) => profile.daily_log_table || "daily_logs";
+
+const dailyLogFilters = (profile, filters = {}) =>
+  profile.daily_log_table ? filters : { ...filters, profile: profile.name };
+
+// Shape a stored row the same way for every profile
+const fromDailyLogRow = (profile, row) => {
+  if (!row || profile.daily_log_table) return row;
+
+  const { metrics, ...rest } = row;
+  const values = {};
+
+  for (const { key } of profile.daily_log_metrics) {
+    values[key] = metrics?.[key] ?? 0;
+  }
+
+  return { ...rest, ...values };
+};
+
+const toDailyLogRow = (profile, fields) => {
+  if (profile.daily_log_table) return fields;
+
+  const row = { profile: profile.name };
+  const metrics = {};
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (profile.daily_log_metrics.some((m) => m.key === key)) {
+      metrics[key] = value;
+    } else {
+      row[key] = value;
+    }
+  }
+
+  if (Object.keys(metrics).length > 0) {
+    row.metrics = metrics;
+  }
+
+  return row;
+};
+
+// Resolves :profile for the daily log routes into req.dailyLogProfile
+const loadDailyLogProfile = async (req, res, next) => {
+  try {
+    if (req.params.profile !== req.profile) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        error: "You can only access your own profile",
+      });
+    }
+
+    const profile = await getProfile(req.params.profile);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Profile not found",
+      });
+    }
+
+    req.dailyLogProfile = profile;
+    next();
+  } catch (err) {
+    console.error("Error loading profile:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+};
+
+const validateDailyLogBody =
+  (schemaFor, options = {}) =>
+  (req, res, next) =>
+    validateBody(schemaFor(req.dailyLogProfile), options)(req, res, next);
+
+// Only matches dates, so PUT /daily-logs/:profile/:id still works for ids
+const DAILY_LOG_DATE_PATH = "/daily-logs/:profile/:date(\\d{4}-\\d{2}-\\d{2})";
+
+app.use("/daily-logs/:profile", loadDailyLogProfile);
+app.post("/daily-logs/:profile", validateDailyLogBody(schemas.dailyLogs));
+app.put(
+  DAILY_LOG_DATE_PATH,
+  validateDailyLogBody(schemas.dailyLogUpsert, { partial: true })
+);
+app.post(
+  "/daily-logs/:profile/goals",
+  validateDailyLogBody(schemas.dailyLogGoals)
+);
+app.put(
+  "/daily-logs/:profile/goals/:id",
+  validateDailyLogBody(schemas.dailyLogGoals, { partial: true })
+);
+app.put(
+  "/daily-logs/:profile/:id",
+  validateDailyLogBody(schemas.dailyLogs, { partial: true })
+);
+
+// Reads and writes of one profile's log for one day run one at a time, so
+// concurrent increments and duplicate POSTs can't interleave
+const dailyLogLock = createKeyedLock();
+
+const lockDailyLog = (profile, date, fn) =>
+  dailyLogLock(`${profile.name}:${date}`, fn);
+
+// Update for an existing row. Shared-table profiles get their metrics JSON
+// merged so unrelated metrics are kept.
+const dailyLogChanges = (profile, existing, fields) => {
+  const changes = toDailyLogRow(profile, fields);
+
+  if (changes.metrics) {
+    changes.metrics = { ...existing?.metrics, ...changes.metrics };
+  }
+
+  return changes;
+};
+
+// GET /daily-logs/:profile
+app.get("/daily-logs/:profile", async (req, res) => {
+  const profile = req.dailyLogProfile;
+
+  try {
+    const data = await db.list(
+      dailyLogTable(profile),
+      dailyLogFilters(profile),
+      { orderBy: "date", ascending: false }
+    );
+
+    res.json({
+      success: true,
+      data: data.map((row) => fromDailyLogRow(profile, row)),
+      error: null,
+    });
+  } catch (err) {
+    console.error(`Error fetching daily logs (${profile.name}):`, err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// Creates or merges the profile's log for `date`. `fields` overwrite stored
+// values and `increment` adds to them. Returns { data, created } with the
+// stored row, or data null when there is no log and `create` is false.
+const saveDailyLog = (
+  profile,
+  date,
+  fields,
+  increment = {},
+  { create = true } = {}
+) =>
+  lockDailyLog(profile, date, async () => {
+    const existing = await db.get(
+      dailyLogTable(profile),
+      dailyLogFilters(profile, { date })
+    );
+
+    if (!existing && !create) return { data: null, created: false };
+
+    const current = fromDailyLogRow(profile, existing) || {};
+    const values = { ...fields };
+
+    // Totals never go below zero, so "-1" on an empty day is a no-op
+    for (const [key, amount] of Object.entries(increment)) {
+      values[key] = Math.max(0, (values[key] ?? current[key] ?? 0) + amount);
+    }
+
+    if (!existing) {
+      for (const { key } of profile.daily_log_metrics) {
+        values[key] = values[key] || 0;
+      }
+
+      return {
+        data: await db.insert(
+          dailyLogTable(profile),
+          toDailyLogRow(profile, { date, ...values })
+        ),
+        created: true,
+      };
+    }
+
+    const [updated] = await db.update(
+      dailyLogTable(profile),
+      dailyLogFilters(profile, { id: existing.id }),
+      dailyLogChanges(profile, existing, values)
+    );
+
+    return { data: updated, created: false };
+  });
+
+const DEFAULT_SUMMARY_PERIODS = 12;
+const MAX_SUMMARY_DAYS = 1096;
+
+// GET /daily-logs/:profile/summary?granularity=week&from=YYYY-MM-DD&to=YYYY-MM-DD&tz=UTC
+// Defaults to the last 12 weeks (or months) up to today
+app.get("/daily-logs/:profile/summary", async (req, res) => {
+  const profile = req.dailyLogProfile;
+
+  try {
+    const { granularity = "week", tz = "UTC" } = req.query;
+
+    if (!GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: `granularity must be one of: ${GRANULARITIES.join(", ")}`,
+      });
+    }
+
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Invalid time zone",
+      });
+    }
+
+    const to = req.query.to || dateInTimeZone(new Date(), tz);
+    let from = req.query.from;
+
+    if (!from && isValidDate(to)) {
+      from = periodStart(to, granularity);
+      for (let i = 1; i < DEFAULT_SUMMARY_PERIODS; i++) {
+        from = previousPeriodStart(from, granularity);
+      }
+    }
+
+    if (!isValidDate(from) || !isValidDate(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "from and to must be dates (YYYY-MM-DD) with from <= to",
+      });
+    }
+
+    if (daysBetween(from, to) > MAX_SUMMARY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: `Range cannot exceed ${MAX_SUMMARY_DAYS} days`,
+      });
+    }
+
+    // Include the period before `from` so the first one has a change too
+    const fetchFrom = previousPeriodStart(
+      periodStart(from, granularity),
+      granularity
+    );
+    const rows = await db.list(
+      dailyLogTable(profile),
+      dailyLogFilters(profile, { date: { gte: fetchFrom, lte: to } })
+    );
+
+    const data = summarizeDailyLogs(
+      rows.map((row) => fromDailyLogRow(profile, row)),
+      profile.daily_log_metrics.map((metric) => metric.key),
+      { granularity, from, to }
+    );
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error(`Error summarizing daily logs (${profile.name}):`, err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// GET /daily-logs/:profile/goals
+app.get("/daily-logs/:profile/goals", async (req, res) => {
+  const profile = req.dailyLogProfile;
+
+  try {
+    const data = await db.list(
+      "daily_log_goals",
+      { profile: profile.name },
+      { orderBy: "created_at" }
+    );
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error(`Error fetching daily log goals (${profile.name}):`, err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// GET /daily-logs/:profile/goals/report?from=YYYY-MM-DD&to=YYYY-MM-DD&tz=UTC
+// Defaults to the last 30 days
+app.get("/daily-logs/:profile/goals/report", async (req, res) => {
+  const profile = req.dailyLogProfile;
+
+  try {
+    const { tz = "UTC" } = req.query;
+
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Invalid time zone",
+      });
+    }
+
+    const today = dateInTimeZone(new Date(), tz);
+    const to = req.query.to || today;
+    const from =
+      req.query.from || (isValidDate(to) ? addDays(to, -29) : undefined);
+
+    if (!isValidDate(from) || !isValidDate(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "from and to must be dates (YYYY-MM-DD) with from <= to",
+      });
+    }
+
+    if (daysBetween(from, to) > MAX_SUMMARY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: `Range cannot exceed ${MAX_SUMMARY_DAYS} days`,
+      });
+    }
+
+    const goals = await db.list(
+      "daily_log_goals",
+      { profile: profile.name },
+      { orderBy: "created_at" }
+    );
+
+    // Streaks need the whole history, not just the requested range
+    const rows = await db.list(
+      dailyLogTable(profile),
+      dailyLogFilters(profile)
+    );
+
+    const data = goalReport(
+      goals,
+      rows.map((row) => fromDailyLogRow(profile, row)),
+      { from, to, today }
+    );
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error(`Error building goal report (${profile.name}):`, err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// POST /daily-logs/:profile/goals  { metric, period, target }
+app.post("/daily-logs/:profile/goals", async (req, res) => {
+  const profile = req.dailyLogProfile;
+
+  try {
+    const { metric, period, target } = req.body;
+
+    // One goal per metric and period
+    const existing = await db.get("daily_log_goals", {
+      profile: profile.name,
+      metric,
+      period,
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        data: existing,
+        error: "A goal for this metric and period already exists",
+      });
+    }
+
+    const data = await db.insert("daily_log_goals", {
+      profile: profile.name,
+      metric,
+      period,
+      target,
+    });
+
+    console.log(`✅ Daily log goal created (${profile.name}):`, data);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error(`Error creating daily log goal (${profile.name}):`, err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// PUT /daily-logs/:profile/goals/:id
+app.put("/daily-logs/:profile/goals/:id", async (req, res) => {
+  const profile = req.dailyLogProfile;
+
+  try {
+    const { id } = req.params;
+
+    const [data] = await db.update(
+      "daily_log_goals",
+      { id, profile: profile.name },
+      req.body
+    );
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Goal not found",
+      });
+    }
+
+    console.log(`✅ Daily log goal updated (${profile.name}):`, data);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error(`Error updating daily log goal (${profile.name}):`, err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// DELETE /daily-logs/:profile/goals/:id
+app.delete("/daily-logs/:profile/goals/:id", async (req, res) => {
+  const profile = req.dailyLogProfile;
+
+  try {
+    const { id } = req.params;
+
+    const deleted = await db.delete("daily_log_goals", {
+      id,
+      profile: profile.name,
+    });
+
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Goal not found",
+      });
+    }
+
+    console.log(`✅ Daily log goal deleted (${profile.name}):`, id);
+
+    res.json({
+      success: true,
+      data: { id },
+      error: null,
+    });
+  } catch (err) {
+    console.error(`Error deleting daily log goal (${profile.name}):`, err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// GET /daily-logs/:profile/:date
+app.get("/daily-logs/:profile/:date", async (req, res) => {
+  const profile = req.dailyLogProfile;
+
+  try {
+    const { date } = req.params;
+
+    const data = await db.get(
+      dailyLogTable(profile),
+      dailyLogFilters(profile, { date })
+    );
+
+    res.json({
+      success: true,
+      data: fromDailyLogRow(profile, data),
+      error: null,
+    });
+  } catch (err) {
+    console.error(`Error fetching daily log by date (${profile.name}):`, err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// POST /daily-logs/:profile
+app.post("/daily-logs/:profile", async (req, res) => {
+  const profile = req.dailyLogProfile;
+
+  try {
+    const fields = { ...req.body };
+
+    for (const { key } of profile.daily_log_metrics) {
+      fields[key] = fields[key] || 0;
+    }
+
+    const { existing, data } = await lockDailyLog(
+      profile,
+      fields.date,
+      async () => {
+        const existing = await db.get(
+          dailyLogTable(profile),
+          dailyLogFilters(profile, { date: fields.date })
+        );
+
+        if (existing) return { existing };
+
+        return {
+          data: await db.insert(
+            dailyLogTable(profile),
+            toDailyLogRow(profile, fields)
+          ),
+        };
+      }
+    );
+
+    // One log per day: point the client at the row to update instead
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        data: fromDailyLogRow(profile, existing),
+        error: "A daily log already exists for this date",
+      });
+    }
+
+    console.log(`✅ Daily log created (${profile.name}):`, data);
+
+    res.json({
+      success: true,
+      data: fromDailyLogRow(profile, data),
+      error: null,
+    });
+  } catch (err) {
+    console.error(`Error creating daily log (${profile.name}):`, err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// PUT /daily-logs/:profile/:date
+// Creates the day's log or merges into it. Body:
+//   { dsa_questions_solved: 5, notes: "..." }      sets values
+//   { increment: { dsa_questions_solved: 3 } }     adds to stored values
+app.put(DAILY_LOG_DATE_PATH, async (req, res) => {
+  const profile = req.dailyLogProfile;
+
+  try {
+    const { date } = req.params;
+    const { increment = {}, ...fields } = req.body;
+
+    const { data, created } = await saveDailyLog(
+      profile,
+      date,
+      fields,
+      increment
+    );
+
+    console.log(
+      `✅ Daily log ${created ? "created" : "updated"} (${profile.name}):`,
+      data
+    );
+
+    res.json({
+      success: true,
+      data: fromDailyLogRow(profile, data),
+      error: null,
+    });
+  } catch (err) {
+    console.error(`Error saving daily log (${profile.name}):`, err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// PUT /daily-logs/:profile/:id
+app.put("/daily-logs/:profile/:id", async (req, res) => {
+  const profile = req.dailyLogProfile;
+
+  try {
+    const { id } = req.params;
+
+    const existing = await db.get(
+      dailyLogTable(profile),
+      dailyLogFilters(profile, { id })
+    );
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Daily log not found",
+      });
+    }
+
+    // Runs under the lock of the day the log ends up on, so moving it can't
+    // race a POST for that day
+    const date = req.body.date ?? existing.date;
+
+    const { clash, data } = await lockDailyLog(profile, date, async () => {
+      const clash = await db.get(
+        dailyLogTable(profile),
+        dailyLogFilters(profile, { date })
+      );
+
+      if (clash && String(clash.id) !== String(existing.id)) return { clash };
+
+      const [data] = await db.update(
+        dailyLogTable(profile),
+        dailyLogFilters(profile, { id }),
+        dailyLogChanges(profile, existing, req.body)
+      );
+
+      return { data };
+    });
+
+    // One log per day, as in POST
+    if (clash) {
+      return res.status(409).json({
+        success: false,
+        data: fromDailyLogRow(profile, clash),
+        error: "A daily log already exists for this date",
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Daily log not found",
+      });
+    }
+
+    console.log(`✅ Daily log updated (${profile.name}):`, data);
+
+    res.json({
+      success: true,
+      data: fromDailyLogRow(profile, data),
+      error: null,
+    });
+  } catch (err) {
+    console.error(`Error updating daily log (${profile.name}):`, err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// DELETE /daily-logs/:profile/:id
+app.delete("/daily-logs/:profile/:id", async (req, res) => {
+  const profile = req.dailyLogProfile;
+
+  try {
+    const { id } = req.params;
+
+    const deleted = await db.delete(
+      dailyLogTable(profile),
+      dailyLogFilters(profile, { id })
+    );
+
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Daily log not found",
+      });
+    }
+
+    // The day's solved problems are kept, just no longer linked to a log
+    await db.update(
+      "solved_problems",
+      { profile: profile.name, daily_log_id: id },
+      { daily_log_id: null }
+    );
+
+    console.log(`✅ Daily log deleted (${profile.name}):`, id);
+
+    res.json({
+      success: true,
+      data: { id },
+      error: null,
+    });
+  } catch (err) {
+    console.error(`Error deleting daily log (${profile.name}):`, err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// ==================== SOLVED PROBLEMS ====================
+
+// Each solved problem adds one to a metric of its day's log, so the daily
+// totals stay in step without being entered twice.
+
+// The metric a problem counts toward: the given key, or the profile's first
+// metric. Null when the profile has no such metric.
+const problemMetric = (profile, metric) => {
+  const key = metric ?? profile.daily_log_metrics[0]?.key;
+
+  return profile.daily_log_metrics.some((m) => m.key === key) ? key : null;
+};
+
+const invalidProblemMetric = (res, profile) =>
+  res.status(400).json({
+    success: false,
+    data: null,
+    error: "Validation failed",
+    details: {
+      metric: `must be one of: ${profile.daily_log_metrics
+        .map((m) => m.key)
+        .join(", ")}`,
+    },
+  });
+
+// Adds `amount` to the metric on the day's log, creating the log if needed.
+// Taking a problem away from a day without a log (one that was deleted)
+// leaves it without one.
+const rollUpProblem = async (profile, date, metric, amount) => {
+  const { data } = await saveDailyLog(
+    profile,
+    date,
+    {},
+    { [metric]: amount },
+    { create: amount > 0 }
+  );
+  return data;
+};
+
+// Builds the list filters shared by GET /solved-problems and the breakdown
+const solvedProblemFilters = (query) => {
+  const { profile, from, to, topic, difficulty, platform } = query;
+  const filters = { profile };
+
+  if (from || to) {
+    filters.date = {};
+    if (from) filters.date.gte = from;
+    if (to) filters.date.lte = to;
+  }
+  if (topic) filters.topics = { contains: [topic] };
+  if (difficulty) filters.difficulty = difficulty;
+  if (platform) filters.platform = platform;
+
+  return filters;
+};
+
+// Returns an error message for bad query parameters, or null
+const solvedProblemQueryError = ({ profile, from, to }) => {
+  if (!profile) return "Profile parameter is required";
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return "from and to must be dates (YYYY-MM-DD)";
+  }
+  return null;
+};
+
+// GET /solved-problems?profile=piyush&from=YYYY-MM-DD&to=YYYY-MM-DD&topic=dp&difficulty=hard&platform=leetcode
+app.get("/solved-problems", async (req, res) => {
+  try {
+    const queryError = solvedProblemQueryError(req.query);
+
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: queryError,
+      });
+    }
+
+    const data = await db.list(
+      "solved_problems",
+      solvedProblemFilters(req.query),
+      { orderBy: "date", ascending: false }
+    );
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error fetching solved problems:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// GET /solved-problems/breakdown?profile=piyush&from=YYYY-MM-DD&to=YYYY-MM-DD
+// Takes the same filters as GET /solved-problems
+app.get("/solved-problems/breakdown", async (req, res) => {
+  try {
+    const queryError = solvedProblemQueryError(req.query);
+
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: queryError,
+      });
+    }
+
+    const problems = await db.list(
+      "solved_problems",
+      solvedProblemFilters(req.query)
+    );
+
+    res.json({
+      success: true,
+      data: problemBreakdown(problems),
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error building solved problem breakdown:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// POST /solved-problems
+app.post("/solved-problems", async (req, res) => {
+  try {
+    const {
+      profile: name,
+      date,
+      metric,
+      name: problemName,
+      link,
+      platform,
+      difficulty,
+      topics,
+      time_taken_minutes,
+      attempts,
+    } = req.body;
+
+    const profile = await getProfile(name);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Profile not found",
+      });
+    }
+
+    const key = problemMetric(profile, metric);
+
+    if (!key) {
+      return invalidProblemMetric(res, profile);
+    }
+
+    const log = await rollUpProblem(profile, date, key, 1);
+    let data;
+
+    try {
+      data = await db.insert("solved_problems", {
+        profile: name,
+        date,
+        metric: key,
+        daily_log_id: log.id,
+        name: problemName,
+        link: link ?? null,
+        platform: platform ?? null,
+        difficulty: difficulty ?? null,
+        topics: topics || [],
+        time_taken_minutes: time_taken_minutes ?? null,
+        attempts: attempts ?? 1,
+      });
+    } catch (err) {
+      await rollUpProblem(profile, date, key, -1);
+      throw err;
+    }
+
+    console.log("✅ Solved problem created:", data);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error creating solved problem:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// PUT /solved-problems/:id
+// Moving a problem to another date or metric moves its count with it
+app.put("/solved-problems/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = { ...req.body };
+
+    const existing = await db.get("solved_problems", {
+      id,
+      profile: req.profile,
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Solved problem not found",
+      });
+    }
+
+    const profile = await getProfile(req.profile);
+    const date = updates.date ?? existing.date;
+    const key =
+      updates.metric !== undefined
+        ? problemMetric(profile, updates.metric)
+        : existing.metric;
+
+    if (!key) {
+      return invalidProblemMetric(res, profile);
+    }
+
+    if (date !== existing.date || key !== existing.metric) {
+      await rollUpProblem(profile, existing.date, existing.metric, -1);
+      const log = await rollUpProblem(profile, date, key, 1);
+      updates.metric = key;
+      updates.daily_log_id = log.id;
+    }
+
+    const [data] = await db.update("solved_problems", { id }, updates);
+
+    console.log("✅ Solved problem updated:", data);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error updating solved problem:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// DELETE /solved-problems/:id
+app.delete("/solved-problems/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [deleted] = await db.delete("solved_problems", {
+      id,
+      profile: req.profile,
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Solved problem not found",
+      });
+    }
+
+    const profile = await getProfile(req.profile);
+
+    if (profile) {
+      await rollUpProblem(profile, deleted.date, deleted.metric, -1);
+    }
+
+    console.log("✅ Solved problem deleted:", id);
+
+    res.json({
+      success: true,
+      data: { id },
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error deleting solved problem:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// ==================== 5️⃣ CP RATINGS ====================
+
+// cp_ratings holds each profile's current rating per platform; every change
+// is also a point in cp_rating_history so the rating curve is kept.
+
+// Platforms are stored by platformKey, so "Codeforces" on a contest log and
+// PUT /cp-ratings/codeforces share one rating and history.
+
+// Makes the most recent history point the platform's current rating
+const syncCurrentRating = async (profile, platformName) => {
+  const platform = platformKey(platformName);
+  const existing = await db.get("cp_ratings", { profile, platform });
+  const [latest] = await db.list(
+    "cp_rating_history",
+    { profile, platform },
+    { orderBy: "recorded_at", ascending: false, limit: 1 }
+  );
+
+  if (!latest) return existing;
+
+  if (existing) {
+    const [data] = await db.update(
+      "cp_ratings",
+      { id: existing.id },
+      { rating: latest.rating, updated_at: new Date().toISOString() }
+    );
+    return data;
+  }
+
+  return db.insert("cp_ratings", { profile, platform, rating: latest.rating });
+};
+
+// Adds a history point and makes the most recent point the platform's
+// current rating, so backfilling an older point doesn't move it.
+const recordRating = async (
+  profile,
+  platformName,
+  rating,
+  { recordedAt, source = "manual", contestLogId = null } = {}
+) => {
+  const platform = platformKey(platformName);
+  const existing = await db.get("cp_ratings", { profile, platform });
+  const [oldest] = await db.list(
+    "cp_rating_history",
+    { profile, platform },
+    { orderBy: "recorded_at", limit: 1 }
+  );
+
+  // A rating saved before history was kept becomes its first point
+  if (existing && !oldest) {
+    await db.insert("cp_rating_history", {
+      profile,
+      platform,
+      rating: existing.rating,
+      recorded_at: existing.updated_at || existing.created_at,
+      source: "manual",
+      contest_log_id: null,
+    });
+  }
+
+  const point = await db.insert("cp_rating_history", {
+    profile,
+    platform,
+    rating,
+    recorded_at: recordedAt || new Date().toISOString(),
+    source,
+    contest_log_id: contestLogId,
+  });
+
+  return { data: await syncCurrentRating(profile, platform), point };
+};
+
+// Peak, change since the previous point and rank band for a rating row.
+// `points` is the platform's history, oldest first.
+const ratingSummary = (row, points) => {
+  const previous = points.length >= 2 ? points[points.length - 2] : null;
+
+  return {
+    peak: Math.max(row.rating, ...points.map((point) => point.rating)),
+    delta: previous ? row.rating - previous.rating : null,
+    band: ratingBand(row.platform, row.rating),
+  };
+};
+
+// GET /cp-ratings?profile=piyush
+app.get("/cp-ratings", async (req, res) => {
+  try {
+    const { profile = req.profile } = req.query;
+
+    const ratings = await db.list(
+      "cp_ratings",
+      { profile },
+      { orderBy: "platform" }
+    );
+    const history = await db.list(
+      "cp_rating_history",
+      { profile },
+      { orderBy: "recorded_at" }
+    );
+
+    const data = ratings.map((row) => ({
+      ...row,
+      ...ratingSummary(
+        row,
+        history.filter((point) => point.platform === row.platform)
+      ),
+    }));
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error fetching CP ratings:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// GET /cp-ratings/:platform/history?profile=piyush&from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get("/cp-ratings/:platform/history", async (req, res) => {
+  try {
+    const platform = platformKey(req.params.platform);
+    const { profile = req.profile, from, to } = req.query;
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "from and to must be dates (YYYY-MM-DD)",
+      });
+    }
+
+    const filters = { profile, platform };
+
+    if (from || to) {
+      filters.recorded_at = {};
+      if (from) filters.recorded_at.gte = `${from}T00:00:00.000Z`;
+      if (to) filters.recorded_at.lte = `${to}T23:59:59.999Z`;
+    }
+
+    const data = await db.list("cp_rating_history", filters, {
+      orderBy: "recorded_at",
+    });
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error fetching CP rating history:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// PUT /cp-ratings/:platform
+app.put("/cp-ratings/:platform", async (req, res) => {
+  try {
+    const { platform } = req.params;
+    const { rating } = req.body;
+
+    const { data } = await recordRating(req.profile, platform, rating);
+
+    console.log("✅ CP rating updated:", data);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error updating CP rating:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// ==================== 6️⃣ CONTEST PERFORMANCE ====================
+
+// A contest log with a new_rating is also a point in the platform's rating
+// history (linked by contest_log_id), so logging a contest updates
+// /cp-ratings in the same step.
+
+const hasNewRating = (log) =>
+  Boolean(log) && log.new_rating !== null && log.new_rating !== undefined;
+
+// Contests are logged by date; the point goes at the end of that day, or
+// now for a contest that finished today
+const contestRecordedAt = (date) => {
+  const endOfDay = `${date}T23:59:59.999Z`;
+  const now = new Date().toISOString();
+
+  return endOfDay < now ? endOfDay : now;
+};
+
+// Replaces the rating point a contest log contributes. `previous` is the
+// log as it was before an update or delete.
+const syncContestRating = async (log, previous = null) => {
+  if (previous) {
+    await db.delete("cp_rating_history", { contest_log_id: previous.id });
+  }
+
+  if (hasNewRating(log)) {
+    await recordRating(log.profile, log.platform, log.new_rating, {
+      recordedAt: contestRecordedAt(log.date),
+      source: "contest",
+      contestLogId: log.id,
+    });
+  }
+
+  // The old platform's current rating may have come from the removed point
+  if (
+    previous &&
+    (!hasNewRating(log) ||
+      platformKey(previous.platform) !== platformKey(log.platform))
+  ) {
+    await syncCurrentRating(previous.profile, previous.platform);
+  }
+};
+
+// Inserts a contest log with defaults filled in and records its rating
+const createContestLog = async (fields) => {
+  const data = await db.insert("contest_logs", {
+    profile: fields.profile,
+    platform: fields.platform,
+    contest_name: fields.contest_name,
+    date: fields.date,
+    problems_solved: fields.problems_solved || 0,
+    total_problems: fields.total_problems || 0,
+    notes: fields.notes ?? null,
+    rank: fields.rank ?? null,
+    old_rating: fields.old_rating ?? null,
+    new_rating: fields.new_rating ?? null,
+  });
+
+  await syncContestRating(data);
+
+  return data;
+};
+
+// Contest names as exports and hand-typed logs spell them: case and runs
+// of whitespace don't matter
+const contestNameKey = (name) =>
+  String(name ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+// A profile never logs the same contest twice: same platform and name
+// within a day of `date`. Platforms are compared by platformKey and names
+// by contestNameKey, so "CodeForces" / "Codeforces  Round 1" match
+// "codeforces" / "codeforces round 1". The day of slack covers exports
+// dated by the rating update, which often lands on the next UTC day.
+const findContestLog = async (profile, platform, contestName, date) => {
+  const logs = await db.list("contest_logs", {
+    profile,
+    date: { gte: addDays(date, -1), lte: addDays(date, 1) },
+  });
+
+  return (
+    logs
+      .filter(
+        (log) =>
+          platformKey(log.platform) === platformKey(platform) &&
+          contestNameKey(log.contest_name) === contestNameKey(contestName)
+      )
+      .sort(
+        (a, b) =>
+          Math.abs(daysBetween(date, a.date)) -
+          Math.abs(daysBetween(date, b.date))
+      )[0] || null
+  );
+};
+
+// GET /contest-logs?profile=piyush
+app.get("/contest-logs", async (req, res) => {
+  try {
+    const { profile = req.profile } = req.query;
+
+    const data = await db.list(
+      "contest_logs",
+      { profile },
+      { orderBy: "date", ascending: false }
+    );
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error fetching contest logs:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// GET /contest-logs/stats?profile=piyush&platform=codeforces&from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get("/contest-logs/stats", async (req, res) => {
+  try {
+    const { profile = req.profile, platform, from, to } = req.query;
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "from and to must be dates (YYYY-MM-DD)",
+      });
+    }
+
+    // Earlier contests are fetched too so rating deltas can fall back on
+    // the previous contest's rating
+    const filters = { profile };
+    if (to) filters.date = { lte: to };
+
+    // Logs keep the platform as typed, so it's matched by platformKey here
+    const logs = (
+      await db.list("contest_logs", filters, { orderBy: "date" })
+    ).filter(
+      (log) => !platform || platformKey(log.platform) === platformKey(platform)
+    );
+
+    res.json({
+      success: true,
+      data: contestStats(logs, { from, to }),
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error building contest stats:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// POST /contest-logs
+app.post("/contest-logs", async (req, res) => {
+  try {
+    const {
+      profile,
+      platform,
+      contest_name,
+      date,
+      problems_solved,
+      total_problems,
+      notes,
+      rank,
+      old_rating,
+      new_rating,
+    } = req.body;
+
+    const data = await createContestLog({
+      profile,
+      platform,
+      contest_name,
+      date,
+      problems_solved,
+      total_problems,
+      notes,
+      rank,
+      old_rating,
+      new_rating,
+    });
+
+    console.log("✅ Contest log created:", data);
+
+    res.json({
+      success: true,
+      data: data,
+      error: null,
+    });
+  } catch (err) {
+    console.error("Error creating contest log:", err);
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: err.message,
+    });
+  }
+});
+
+// PUT /contest-logs/:id
+app.put("/contest-logs/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = req.body;
+
+    const previous = await db.get("contest_logs", {
+      id,
+      profile: req.profile,
+    });
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Contest log not found",
+      });
+    }
 
-    const { data, error } = await supabase
-      .from("habits")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
+    const [data] = await db.update(
+      "contest_logs",
+      { id, profile: req.profile },
+      updates
+    );
 
-    if (error) throw error;
+    if (["platform", "date", "new_rating"].some((key) => key in updates)) {
+      await syncContestRating(data, previous);
+    }
 
-    console.log("✅ Habit updated:", data);
+    console.log("✅ Contest log updated:", data);
 
     res.json({
       success: true,
@@ -264,7 +3598,7 @@ app.put("/habits/:id", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error updating habit:", err);
+    console.error("Error updating contest log:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -273,20 +3607,28 @@ app.put("/habits/:id", async (req, res) => {
   }
 });
 
-// DELETE /habits/:id
-app.delete("/habits/:id", async (req, res) => {
+// DELETE /contest-logs/:id
+app.delete("/contest-logs/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
-    // First delete all habit entries
-    await supabase.from("habit_entries").delete().eq("habit_id", id);
+    const [deleted] = await db.delete("contest_logs", {
+      id,
+      profile: req.profile,
+    });
 
-    // Then delete the habit
-    const { error } = await supabase.from("habits").delete().eq("id", id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Contest log not found",
+      });
+    }
 
-    if (error) throw error;
+    await db.delete("contest_problems", { contest_log_id: id });
+    await syncContestRating(null, deleted);
 
-    console.log("✅ Habit deleted:", id);
+    console.log("✅ Contest log deleted:", id);
 
     res.json({
       success: true,
@@ -294,7 +3636,7 @@ app.delete("/habits/:id", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error deleting habit:", err);
+    console.error("Error deleting contest log:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -303,64 +3645,99 @@ app.delete("/habits/:id", async (req, res) => {
   }
 });
 
-// ==================== HABIT ENTRIES ====================
-
-// GET /habit-entries?profile=piyush&from=YYYY-MM-DD&to=YYYY-MM-DD
-app.get("/habit-entries", async (req, res) => {
+// POST /cp-ratings/import
+// Backfills contest logs (and with them the rating history) from a
+// Codeforces user.rating or LeetCode contest history export. Contests that
+// are already logged with a rating are skipped, so the same export can be
+// imported again; with dry_run nothing is written.
+app.post("/cp-ratings/import", async (req, res) => {
   try {
-    const { profile, from, to } = req.query;
+    const { platform, payload, dry_run } = req.body;
 
-    if (!profile) {
+    let entries;
+
+    try {
+      entries = parseRatingExport(platform, payload);
+    } catch (err) {
       return res.status(400).json({
         success: false,
         data: null,
-        error: "Profile parameter is required",
+        error: `Could not read rating export: ${err.message}`,
       });
     }
 
-    // First get all habits for this profile
-    const { data: habits, error: habitsError } = await supabase
-      .from("habits")
-      .select("id")
-      .eq("profile", profile);
+    const created = [];
+    const updated = [];
+    const skipped = [];
+    const seen = new Set();
 
-    if (habitsError) throw habitsError;
+    for (const entry of entries) {
+      const key = `${contestNameKey(entry.contest_name)}|${entry.date}`;
 
-    const habitIds = habits.map((h) => h.id);
+      if (seen.has(key)) {
+        skipped.push({ ...entry, reason: "duplicate in export" });
+        continue;
+      }
+      seen.add(key);
 
-    if (habitIds.length === 0) {
-      return res.json({
-        success: true,
-        data: [],
-        error: null,
-      });
-    }
+      const existing = await findContestLog(
+        req.profile,
+        platform,
+        entry.contest_name,
+        entry.date
+      );
+
+      if (hasNewRating(existing)) {
+        skipped.push({
+          ...entry,
+          contest_log_id: existing.id,
+          reason: "already logged",
+        });
+        continue;
+      }
 
-    // Then get entries for those habits
-    let query = supabase
-      .from("habit_entries")
-      .select("*")
-      .in("habit_id", habitIds);
+      // A log entered by hand without its rating gets the exported one
+      if (existing) {
+        const changes = {
+          rank: existing.rank ?? entry.rank,
+          old_rating: existing.old_rating ?? entry.old_rating,
+          new_rating: entry.new_rating,
+        };
+
+        if (dry_run) {
+          updated.push({ ...existing, ...changes });
+        } else {
+          const [data] = await db.update(
+            "contest_logs",
+            { id: existing.id },
+            changes
+          );
+          await syncContestRating(data, existing);
+          updated.push(data);
+        }
+        continue;
+      }
 
-    if (from) {
-      query = query.gte("date", from);
+      created.push(
+        dry_run
+          ? entry
+          : await createContestLog({ ...entry, profile: req.profile })
+      );
     }
 
-    if (to) {
-      query = query.lte("date", to);
+    if (!dry_run) {
+      console.log(
+        `✅ Ratings imported (${platform}): ${created.length} created, ${updated.length} updated`
+      );
     }
 
-    const { data, error } = await query.order("date", { ascending: false });
-
-    if (error) throw error;
-
     res.json({
       success: true,
-      data: data,
+      data: { dry_run: Boolean(dry_run), created, updated, skipped },
       error: null,
     });
   } catch (err) {
-    console.error("Error fetching habit entries:", err);
+    console.error("Error importing ratings:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -369,28 +3746,82 @@ app.get("/habit-entries", async (req, res) => {
   }
 });
 
-// POST /habit-entries
-app.post("/habit-entries", async (req, res) => {
-  try {
-    const { habit_id, date, completed } = req.body;
+// ==================== CONTEST PROBLEMS ====================
 
-    if (!habit_id || !date) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: "habit_id and date are required",
-      });
+// Per-problem rows of a contest log. Once they cover the whole contest, its
+// problems_solved is kept equal to the problems solved during the contest.
+// Until then the rows may be just the ones left to upsolve, so they can
+// raise a hand-entered count but never lower it.
+const syncContestCounts = async (log) => {
+  const problems = await db.list("contest_problems", {
+    contest_log_id: log.id,
+  });
+
+  if (problems.length === 0) return log;
+
+  const solved = problems.filter((p) => p.solved_in_contest).length;
+  const complete = problems.length >= (log.total_problems || 0);
+
+  const [data] = await db.update(
+    "contest_logs",
+    { id: log.id },
+    {
+      problems_solved: complete
+        ? solved
+        : Math.max(log.problems_solved || 0, solved),
+      total_problems: Math.max(log.total_problems || 0, problems.length),
     }
+  );
 
-    const { data, error } = await supabase
-      .from("habit_entries")
-      .insert({ habit_id, date, completed: completed || false })
-      .select()
-      .single();
+  return data;
+};
 
-    if (error) throw error;
+// Rejects a problem_index already used by another problem of the contest
+const duplicateProblemIndex = async (contestLogId, problemIndex, id = null) => {
+  const existing = await db.get("contest_problems", {
+    contest_log_id: contestLogId,
+    problem_index: problemIndex,
+  });
 
-    console.log("✅ Habit entry created:", data);
+  return Boolean(existing) && String(existing.id) !== String(id);
+};
+
+// GET /contest-logs/upsolve-queue?profile=piyush&platform=codeforces
+// Problems not solved in the contest nor upsolved since, newest contest first
+app.get("/contest-logs/upsolve-queue", async (req, res) => {
+  try {
+    const { profile = req.profile, platform } = req.query;
+
+    // Platforms are matched by platformKey, like /contest-logs/stats
+    const logs = (
+      await db.list(
+        "contest_logs",
+        { profile },
+        { orderBy: "date", ascending: false }
+      )
+    ).filter(
+      (log) => !platform || platformKey(log.platform) === platformKey(platform)
+    );
+    const problems = await db.list(
+      "contest_problems",
+      {
+        contest_log_id: { in: logs.map((log) => log.id) },
+        solved_in_contest: false,
+        upsolved: false,
+      },
+      { orderBy: "problem_index" }
+    );
+
+    const data = logs.flatMap((log) =>
+      problems
+        .filter((problem) => String(problem.contest_log_id) === String(log.id))
+        .map((problem) => ({
+          ...problem,
+          platform: log.platform,
+          contest_name: log.contest_name,
+          contest_date: log.date,
+        }))
+    );
 
     res.json({
       success: true,
@@ -398,7 +3829,7 @@ app.post("/habit-entries", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error creating habit entry:", err);
+    console.error("Error fetching upsolve queue:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -407,22 +3838,24 @@ app.post("/habit-entries", async (req, res) => {
   }
 });
 
-// PUT /habit-entries/:id
-app.put("/habit-entries/:id", async (req, res) => {
+// GET /contest-logs/:id/problems
+app.get("/contest-logs/:id/problems", async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
-
-    const { data, error } = await supabase
-      .from("habit_entries")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
 
-    if (error) throw error;
+    if (!(await db.get("contest_logs", { id, profile: req.profile }))) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Contest log not found",
+      });
+    }
 
-    console.log("✅ Habit entry updated:", data);
+    const data = await db.list(
+      "contest_problems",
+      { contest_log_id: id },
+      { orderBy: "problem_index" }
+    );
 
     res.json({
       success: true,
@@ -430,7 +3863,7 @@ app.put("/habit-entries/:id", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error updating habit entry:", err);
+    console.error("Error fetching contest problems:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -439,25 +3872,60 @@ app.put("/habit-entries/:id", async (req, res) => {
   }
 });
 
-// ==================== 3️⃣ DAILY LOGS - PIYUSH ====================
-
-// GET /daily-logs/piyush
-app.get("/daily-logs/piyush", async (req, res) => {
+// POST /contest-logs/:id/problems
+// Returns { problem, contest_log } with the contest's updated counts
+app.post("/contest-logs/:id/problems", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("daily_logs_piyush")
-      .select("*")
-      .order("date", { ascending: false });
+    const { id } = req.params;
+    const {
+      problem_index,
+      name,
+      solved_in_contest,
+      upsolved,
+      wrong_attempts,
+      ac_time_minutes,
+      tags,
+    } = req.body;
+
+    const log = await db.get("contest_logs", { id, profile: req.profile });
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Contest log not found",
+      });
+    }
+
+    if (await duplicateProblemIndex(log.id, problem_index)) {
+      return res.status(409).json({
+        success: false,
+        data: null,
+        error: `Problem ${problem_index} already exists for this contest`,
+      });
+    }
+
+    const problem = await db.insert("contest_problems", {
+      contest_log_id: log.id,
+      problem_index,
+      name: name ?? null,
+      solved_in_contest: solved_in_contest || false,
+      upsolved: upsolved || false,
+      upsolved_at: upsolved ? new Date().toISOString() : null,
+      wrong_attempts: wrong_attempts || 0,
+      ac_time_minutes: ac_time_minutes ?? null,
+      tags: tags || [],
+    });
 
-    if (error) throw error;
+    console.log("✅ Contest problem created:", problem);
 
     res.json({
       success: true,
-      data: data,
+      data: { problem, contest_log: await syncContestCounts(log) },
       error: null,
     });
   } catch (err) {
-    console.error("Error fetching daily logs (piyush):", err);
+    console.error("Error creating contest problem:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -466,35 +3934,61 @@ app.get("/daily-logs/piyush", async (req, res) => {
   }
 });
 
-// GET /daily-logs/piyush/:date
-app.get("/daily-logs/piyush/:date", async (req, res) => {
+// PUT /contest-logs/:id/problems/:problemId
+app.put("/contest-logs/:id/problems/:problemId", async (req, res) => {
   try {
-    const { date } = req.params;
+    const { id, problemId } = req.params;
+    const updates = { ...req.body };
 
-    const { data, error } = await supabase
-      .from("daily_logs_piyush")
-      .select("*")
-      .eq("date", date)
-      .single();
+    const log = await db.get("contest_logs", { id, profile: req.profile });
+    const existing =
+      log &&
+      (await db.get("contest_problems", {
+        id: problemId,
+        contest_log_id: id,
+      }));
 
-    if (error) {
-      if (error.code === "PGRST116") {
-        return res.json({
-          success: true,
-          data: null,
-          error: null,
-        });
-      }
-      throw error;
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Contest problem not found",
+      });
+    }
+
+    if (
+      updates.problem_index !== undefined &&
+      (await duplicateProblemIndex(log.id, updates.problem_index, problemId))
+    ) {
+      return res.status(409).json({
+        success: false,
+        data: null,
+        error: `Problem ${updates.problem_index} already exists for this contest`,
+      });
+    }
+
+    if (
+      updates.upsolved !== undefined &&
+      updates.upsolved !== Boolean(existing.upsolved)
+    ) {
+      updates.upsolved_at = updates.upsolved ? new Date().toISOString() : null;
     }
 
+    const [problem] = await db.update(
+      "contest_problems",
+      { id: problemId },
+      updates
+    );
+
+    console.log("✅ Contest problem updated:", problem);
+
     res.json({
       success: true,
-      data: data,
+      data: { problem, contest_log: await syncContestCounts(log) },
       error: null,
     });
   } catch (err) {
-    console.error("Error fetching daily log by date (piyush):", err);
+    console.error("Error updating contest problem:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -503,36 +3997,36 @@ app.get("/daily-logs/piyush/:date", async (req, res) => {
   }
 });
 
-// POST /daily-logs/piyush
-app.post("/daily-logs/piyush", async (req, res) => {
+// DELETE /contest-logs/:id/problems/:problemId
+app.delete("/contest-logs/:id/problems/:problemId", async (req, res) => {
   try {
-    const { date, dsa_questions_solved, notes } = req.body;
-
-    if (!date) {
-      return res.status(400).json({
+    const { id, problemId } = req.params;
+
+    const log = await db.get("contest_logs", { id, profile: req.profile });
+    const deleted = log
+      ? await db.delete("contest_problems", {
+          id: problemId,
+          contest_log_id: id,
+        })
+      : [];
+
+    if (deleted.length === 0) {
+      return res.status(404).json({
         success: false,
         data: null,
-        error: "Date is required",
+        error: "Contest problem not found",
       });
     }
 
-    const { data, error } = await supabase
-      .from("daily_logs_piyush")
-      .insert({ date, dsa_questions_solved: dsa_questions_solved || 0, notes })
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    console.log("✅ Daily log created (piyush):", data);
+    console.log("✅ Contest problem deleted:", problemId);
 
     res.json({
       success: true,
-      data: data,
+      data: { id: problemId, contest_log: await syncContestCounts(log) },
       error: null,
     });
   } catch (err) {
-    console.error("Error creating daily log (piyush):", err);
+    console.error("Error deleting contest problem:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -541,22 +4035,58 @@ app.post("/daily-logs/piyush", async (req, res) => {
   }
 });
 
-// PUT /daily-logs/piyush/:id
-app.put("/daily-logs/piyush/:id", async (req, res) => {
+// ==================== CONTEST CALENDAR ====================
+
+// Upcoming contests, shared by everyone. Each profile marks the ones it plans
+// to attend in contest_plans; a plan turns into a contest log afterwards.
+// Any signed-in profile may add, edit or delete calendar contests, but not
+// delete one that another profile plans to attend.
+
+// Adds planning_to_attend for the caller to each contest
+const withContestPlans = async (contests, profile) => {
+  const plans = await db.list("contest_plans", {
+    profile,
+    contest_id: { in: contests.map((contest) => contest.id) },
+  });
+  const planned = new Set(plans.map((plan) => String(plan.contest_id)));
+
+  return contests.map((contest) => ({
+    ...contest,
+    planning_to_attend: planned.has(String(contest.id)),
+  }));
+};
+
+// GET /contests?platform=codeforces&from=YYYY-MM-DD&to=YYYY-MM-DD&attending=true
+// Defaults to contests that haven't started yet
+app.get("/contests", async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
+    const { platform, from, to, attending } = req.query;
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "from and to must be dates (YYYY-MM-DD)",
+      });
+    }
 
-    const { data, error } = await supabase
-      .from("daily_logs_piyush")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
+    const filters = {
+      start_time: {
+        gte: from ? `${from}T00:00:00.000Z` : new Date().toISOString(),
+      },
+    };
+    if (to) filters.start_time.lte = `${to}T23:59:59.999Z`;
+    if (platform) filters.platform = platform;
 
-    if (error) throw error;
+    const contests = await withContestPlans(
+      await db.list("contests", filters, { orderBy: "start_time" }),
+      req.profile
+    );
 
-    console.log("✅ Daily log updated (piyush):", data);
+    const data =
+      attending === "true"
+        ? contests.filter((contest) => contest.planning_to_attend)
+        : contests;
 
     res.json({
       success: true,
@@ -564,7 +4094,7 @@ app.put("/daily-logs/piyush/:id", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error updating daily log (piyush):", err);
+    console.error("Error fetching contests:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -573,27 +4103,31 @@ app.put("/daily-logs/piyush/:id", async (req, res) => {
   }
 });
 
-// DELETE /daily-logs/piyush/:id
-app.delete("/daily-logs/piyush/:id", async (req, res) => {
+// POST /contests
+app.post("/contests", async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const { error } = await supabase
-      .from("daily_logs_piyush")
-      .delete()
-      .eq("id", id);
+    const { platform, name, start_time, duration_minutes, registration, url } =
+      req.body;
 
-    if (error) throw error;
+    const data = await db.insert("contests", {
+      platform,
+      external_id: null,
+      name,
+      start_time,
+      duration_minutes: duration_minutes ?? null,
+      registration: registration || "unknown",
+      url: url ?? null,
+    });
 
-    console.log("✅ Daily log deleted (piyush):", id);
+    console.log("✅ Contest created:", data);
 
     res.json({
       success: true,
-      data: { id },
+      data: data,
       error: null,
     });
   } catch (err) {
-    console.error("Error deleting daily log (piyush):", err);
+    console.error("Error creating contest:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -602,17 +4136,47 @@ app.delete("/daily-logs/piyush/:id", async (req, res) => {
   }
 });
 
-// ==================== 4️⃣ DAILY LOGS - SHRUTI ====================
-
-// GET /daily-logs/shruti
-app.get("/daily-logs/shruti", async (req, res) => {
+// POST /contests/import  { platform, payload | fixture | url }
+// Upserts the feed's contests by platform + external_id
+app.post("/contests/import", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("daily_logs_shruti")
-      .select("*")
-      .order("date", { ascending: false });
+    const { platform, payload, fixture, url } = req.body;
+
+    if ([payload, fixture, url].filter(Boolean).length !== 1) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Provide exactly one of payload, fixture or url",
+      });
+    }
+
+    let rows;
 
-    if (error) throw error;
+    try {
+      const feed = await loadContestFeed(
+        { payload, fixture, url },
+        { fixturesDir: contestFixturesDir, allowedUrls: contestFeedUrls }
+      );
+      rows = parseContestFeed(platform, feed);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: `Could not read contest feed: ${err.message}`,
+      });
+    }
+
+    const data = [];
+
+    for (const row of rows) {
+      data.push(
+        await db.upsert("contests", row, {
+          onConflict: ["platform", "external_id"],
+        })
+      );
+    }
+
+    console.log(`✅ Contests imported (${platform}): ${data.length}`);
 
     res.json({
       success: true,
@@ -620,7 +4184,7 @@ app.get("/daily-logs/shruti", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error fetching daily logs (shruti):", err);
+    console.error("Error importing contests:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -629,35 +4193,31 @@ app.get("/daily-logs/shruti", async (req, res) => {
   }
 });
 
-// GET /daily-logs/shruti/:date
-app.get("/daily-logs/shruti/:date", async (req, res) => {
+// PUT /contests/:id
+app.put("/contests/:id", async (req, res) => {
   try {
-    const { date } = req.params;
+    const { id } = req.params;
+    const updates = req.body;
 
-    const { data, error } = await supabase
-      .from("daily_logs_shruti")
-      .select("*")
-      .eq("date", date)
-      .single();
+    const [data] = await db.update("contests", { id }, updates);
 
-    if (error) {
-      if (error.code === "PGRST116") {
-        return res.json({
-          success: true,
-          data: null,
-          error: null,
-        });
-      }
-      throw error;
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Contest not found",
+      });
     }
 
+    console.log("✅ Contest updated:", data);
+
     res.json({
       success: true,
       data: data,
       error: null,
     });
   } catch (err) {
-    console.error("Error fetching daily log by date (shruti):", err);
+    console.error("Error updating contest:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -666,42 +4226,57 @@ app.get("/daily-logs/shruti/:date", async (req, res) => {
   }
 });
 
-// POST /daily-logs/shruti
-app.post("/daily-logs/shruti", async (req, res) => {
+// DELETE /contests/:id
+app.delete("/contests/:id", async (req, res) => {
   try {
-    const { date, python_questions_solved, sql_questions_solved, notes } =
-      req.body;
+    const { id } = req.params;
 
-    if (!date) {
-      return res.status(400).json({
+    const contest = await db.get("contests", { id });
+
+    if (!contest) {
+      return res.status(404).json({
         success: false,
         data: null,
-        error: "Date is required",
+        error: "Contest not found",
       });
     }
 
-    const { data, error } = await supabase
-      .from("daily_logs_shruti")
-      .insert({
-        date,
-        python_questions_solved: python_questions_solved || 0,
-        sql_questions_solved: sql_questions_solved || 0,
-        notes,
-      })
-      .select()
-      .single();
+    // Deleting would drop the other profiles' plans along with it
+    const [otherPlan] = await db.list(
+      "contest_plans",
+      { contest_id: contest.id, profile: { neq: req.profile } },
+      { limit: 1 }
+    );
+
+    if (otherPlan) {
+      return res.status(409).json({
+        success: false,
+        data: null,
+        error: "Another profile plans to attend this contest",
+      });
+    }
+
+    const deleted = await db.delete("contests", { id });
+
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Contest not found",
+      });
+    }
 
-    if (error) throw error;
+    await db.delete("contest_plans", { contest_id: id });
 
-    console.log("✅ Daily log created (shruti):", data);
+    console.log("✅ Contest deleted:", id);
 
     res.json({
       success: true,
-      data: data,
+      data: { id },
       error: null,
     });
   } catch (err) {
-    console.error("Error creating daily log (shruti):", err);
+    console.error("Error deleting contest:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -710,22 +4285,29 @@ app.post("/daily-logs/shruti", async (req, res) => {
   }
 });
 
-// PUT /daily-logs/shruti/:id
-app.put("/daily-logs/shruti/:id", async (req, res) => {
+// PUT /contests/:id/plan
+// Marks the contest as one the caller is planning to attend
+app.put("/contests/:id/plan", async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
 
-    const { data, error } = await supabase
-      .from("daily_logs_shruti")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
+    const contest = await db.get("contests", { id });
+
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Contest not found",
+      });
+    }
 
-    if (error) throw error;
+    const data = await db.upsert(
+      "contest_plans",
+      { contest_id: contest.id, profile: req.profile },
+      { onConflict: ["contest_id", "profile"] }
+    );
 
-    console.log("✅ Daily log updated (shruti):", data);
+    console.log("✅ Contest plan saved:", data);
 
     res.json({
       success: true,
@@ -733,7 +4315,7 @@ app.put("/daily-logs/shruti/:id", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error updating daily log (shruti):", err);
+    console.error("Error saving contest plan:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -742,19 +4324,25 @@ app.put("/daily-logs/shruti/:id", async (req, res) => {
   }
 });
 
-// DELETE /daily-logs/shruti/:id
-app.delete("/daily-logs/shruti/:id", async (req, res) => {
+// DELETE /contests/:id/plan
+app.delete("/contests/:id/plan", async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase
-      .from("daily_logs_shruti")
-      .delete()
-      .eq("id", id);
+    const deleted = await db.delete("contest_plans", {
+      contest_id: id,
+      profile: req.profile,
+    });
 
-    if (error) throw error;
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Contest plan not found",
+      });
+    }
 
-    console.log("✅ Daily log deleted (shruti):", id);
+    console.log("✅ Contest plan removed:", id);
 
     res.json({
       success: true,
@@ -762,7 +4350,7 @@ app.delete("/daily-logs/shruti/:id", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error deleting daily log (shruti):", err);
+    console.error("Error removing contest plan:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -771,80 +4359,72 @@ app.delete("/daily-logs/shruti/:id", async (req, res) => {
   }
 });
 
-// ==================== 5️⃣ CP RATINGS ====================
-
-// GET /cp-ratings
-app.get("/cp-ratings", async (req, res) => {
+// POST /contests/:id/contest-log?tz=Asia/Kolkata
+// Creates the contest log with platform, name and date taken from the
+// contest; the body adds the results (problems_solved, rank, ratings...).
+// The date is the contest's start date in `tz`.
+app.post("/contests/:id/contest-log", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("cp_ratings")
-      .select("*")
-      .order("platform", { ascending: true });
+    const { id } = req.params;
+    const { tz = "UTC" } = req.query;
 
-    if (error) throw error;
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: "Invalid time zone",
+      });
+    }
 
-    res.json({
-      success: true,
-      data: data,
-      error: null,
-    });
-  } catch (err) {
-    console.error("Error fetching CP ratings:", err);
-    res.status(500).json({
-      success: false,
-      data: null,
-      error: err.message,
-    });
-  }
-});
+    const contest = await db.get("contests", { id });
 
-// PUT /cp-ratings/:platform
-app.put("/cp-ratings/:platform", async (req, res) => {
-  try {
-    const { platform } = req.params;
-    const { rating } = req.body;
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Contest not found",
+      });
+    }
 
-    if (rating === undefined) {
+    if (new Date(contest.start_time) > new Date()) {
       return res.status(400).json({
         success: false,
         data: null,
-        error: "Rating is required",
+        error: "Contest has not started yet",
       });
     }
 
-    // First check if platform exists
-    const { data: existing } = await supabase
-      .from("cp_ratings")
-      .select("*")
-      .eq("platform", platform)
-      .single();
-
-    let data, error;
+    const date = dateInTimeZone(new Date(contest.start_time), tz);
+    const existing = await findContestLog(
+      req.profile,
+      contest.platform,
+      contest.name,
+      date
+    );
 
     if (existing) {
-      // Update existing
-      const result = await supabase
-        .from("cp_ratings")
-        .update({ rating, updated_at: new Date().toISOString() })
-        .eq("platform", platform)
-        .select()
-        .single();
-      data = result.data;
-      error = result.error;
-    } else {
-      // Insert new
-      const result = await supabase
-        .from("cp_ratings")
-        .insert({ platform, rating })
-        .select()
-        .single();
-      data = result.data;
-      error = result.error;
+      return res.status(409).json({
+        success: false,
+        data: existing,
+        error: "This contest has already been logged",
+      });
     }
 
-    if (error) throw error;
+    const data = await createContestLog({
+      ...req.body,
+      profile: req.profile,
+      platform: contest.platform,
+      contest_name: contest.name,
+      date,
+    });
 
-    console.log("✅ CP rating updated:", data);
+    await db.update(
+      "contest_plans",
+      { contest_id: contest.id, profile: req.profile },
+      { contest_log_id: data.id }
+    );
+
+    console.log("✅ Contest log created from contest:", data);
 
     res.json({
       success: true,
@@ -852,7 +4432,7 @@ app.put("/cp-ratings/:platform", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error updating CP rating:", err);
+    console.error("Error creating contest log from contest:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -861,17 +4441,72 @@ app.put("/cp-ratings/:platform", async (req, res) => {
   }
 });
 
-// ==================== 6️⃣ CONTEST PERFORMANCE ====================
+// ==================== 7️⃣ A2Z STRIVER PROGRESS ====================
 
-// GET /contest-logs
-app.get("/contest-logs", async (req, res) => {
+// The sheet is shared and tracked per problem (see lib/a2zSheet.js); each
+// profile keeps its own problem statuses. Until a profile has marked a
+// problem on the seeded sheet, /a2z-progress keeps serving its
+// hand-maintained counter row.
+
+const EMPTY_A2Z_COUNTERS = {
+  easy_total: 0,
+  easy_solved: 0,
+  medium_total: 0,
+  medium_solved: 0,
+  hard_total: 0,
+  hard_solved: 0,
+};
+
+// Problem id → status from the profile's a2z_problem_progress rows
+const a2zStatuses = async (profile) => {
+  const progress = await db.list("a2z_problem_progress", { profile });
+
+  return new Map(progress.map((row) => [row.problem_id, row.status]));
+};
+
+// Whether the profile has marked any problem of the seeded sheet, after
+// which its counters are derived from those statuses
+const hasA2zStatuses = async (profile) => {
+  const [row] = await db.list(
+    "a2z_problem_progress",
+    { profile },
+    { limit: 1 }
+  );
+
+  return Boolean(row);
+};
+
+// GET /a2z-progress?profile=piyush
+app.get("/a2z-progress", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("contest_logs")
-      .select("*")
-      .order("date", { ascending: false });
+    const { profile = req.profile } = req.query;
+
+    const problems = await db.list("a2z_problems", {});
+    const statuses = await a2zStatuses(profile);
+
+    if (problems.length > 0 && statuses.size > 0) {
+      return res.json({
+        success: true,
+        data: { profile, ...a2zCounters(problems, statuses) },
+        error: null,
+      });
+    }
+
+    const data = await db.get("a2z_progress", { profile });
+
+    if (!data) {
+      // No row exists, create one with defaults
+      const newData = await db.insert("a2z_progress", {
+        profile,
+        ...EMPTY_A2Z_COUNTERS,
+      });
 
-    if (error) throw error;
+      return res.json({
+        success: true,
+        data: newData,
+        error: null,
+      });
+    }
 
     res.json({
       success: true,
@@ -879,7 +4514,7 @@ app.get("/contest-logs", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error fetching contest logs:", err);
+    console.error("Error fetching A2Z progress:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -888,42 +4523,50 @@ app.get("/contest-logs", async (req, res) => {
   }
 });
 
-// POST /contest-logs
-app.post("/contest-logs", async (req, res) => {
+// PUT /a2z-progress
+app.put("/a2z-progress", async (req, res) => {
   try {
-    const {
-      platform,
-      contest_name,
-      date,
-      problems_solved,
-      total_problems,
-      notes,
-    } = req.body;
+    const updates = req.body;
 
-    if (!platform || !contest_name || !date) {
-      return res.status(400).json({
+    // Breaking change: once the profile tracks problems on the sheet its
+    // counters are derived from those statuses, so writing them is a 409
+    if (await hasA2zStatuses(req.profile)) {
+      return res.status(409).json({
         success: false,
         data: null,
-        error: "Platform, contest_name, and date are required",
+        error:
+          "A2Z progress is tracked per problem; use PUT /a2z-sheet/problems/:id",
       });
     }
 
-    const { data, error } = await supabase
-      .from("contest_logs")
-      .insert({
-        platform,
-        contest_name,
-        date,
-        problems_solved: problems_solved || 0,
-        total_problems: total_problems || 0,
-        notes,
-      })
-      .select()
-      .single();
+    // Get the caller's row
+    const existing = await db.get("a2z_progress", { profile: req.profile });
+
+    if (!existing) {
+      // Create if doesn't exist
+      const data = await db.insert("a2z_progress", {
+        profile: req.profile,
+        ...EMPTY_A2Z_COUNTERS,
+        ...updates,
+      });
 
-    if (error) throw error;
+      console.log("✅ A2Z progress created:", data);
 
-    console.log("✅ Contest log created:", data);
+      return res.json({
+        success: true,
+        data: data,
+        error: null,
+      });
+    }
+
+    // Update existing
+    const [data] = await db.update(
+      "a2z_progress",
+      { id: existing.id, profile: req.profile },
+      updates
+    );
+
+    console.log("✅ A2Z progress updated:", data);
 
     res.json({
       success: true,
@@ -931,7 +4574,7 @@ app.post("/contest-logs", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error creating contest log:", err);
+    console.error("Error updating A2Z progress:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -940,22 +4583,62 @@ app.post("/contest-logs", async (req, res) => {
   }
 });
 
-// PUT /contest-logs/:id
-app.put("/contest-logs/:id", async (req, res) => {
+// GET /a2z-progress/compare
+// Every profile's counters side by side, with solved counts per step for
+// the profiles that track problems on the seeded sheet
+app.get("/a2z-progress/compare", async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
+    const [profiles, steps, topics, problems] = await Promise.all([
+      listProfiles(),
+      db.list("a2z_steps", {}),
+      db.list("a2z_topics", {}),
+      db.list("a2z_problems", {}),
+    ]);
+
+    const legacy = await db.list("a2z_progress", {});
+    const rows = [];
+
+    // One query per profile, as a single list over every profile's
+    // statuses would outgrow the row cap on a response
+    for (const { name } of profiles) {
+      const statuses = await a2zStatuses(name);
+
+      if (problems.length > 0 && statuses.size > 0) {
+        const tree = a2zSheetTree(steps, topics, problems, statuses);
+
+        rows.push({
+          profile: name,
+          ...a2zCounters(problems, statuses),
+          steps: tree.map((step) => ({
+            number: step.number,
+            solved: step.solved,
+          })),
+        });
+        continue;
+      }
 
-    const { data, error } = await supabase
-      .from("contest_logs")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
+      const row = legacy.find((r) => r.profile === name) || {};
 
-    if (error) throw error;
+      rows.push({
+        profile: name,
+        ...Object.fromEntries(
+          Object.keys(EMPTY_A2Z_COUNTERS).map((key) => [key, row[key] || 0])
+        ),
+        steps: [],
+      });
+    }
 
-    console.log("✅ Contest log updated:", data);
+    const data = {
+      steps: a2zSheetTree(steps, topics, problems, new Map()).map((step) => ({
+        number: step.number,
+        title: step.title,
+        total: step.total,
+      })),
+      profiles: rows.map((row) => ({
+        ...row,
+        ...a2zCompletion(row),
+      })),
+    };
 
     res.json({
       success: true,
@@ -963,7 +4646,7 @@ app.put("/contest-logs/:id", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error updating contest log:", err);
+    console.error("Error comparing A2Z progress:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -972,24 +4655,27 @@ app.put("/contest-logs/:id", async (req, res) => {
   }
 });
 
-// DELETE /contest-logs/:id
-app.delete("/contest-logs/:id", async (req, res) => {
+// GET /a2z-sheet?profile=piyush
+app.get("/a2z-sheet", async (req, res) => {
   try {
-    const { id } = req.params;
+    const { profile = req.profile } = req.query;
 
-    const { error } = await supabase.from("contest_logs").delete().eq("id", id);
+    const [steps, topics, problems, statuses] = await Promise.all([
+      db.list("a2z_steps", {}),
+      db.list("a2z_topics", {}),
+      db.list("a2z_problems", {}),
+      a2zStatuses(profile),
+    ]);
 
-    if (error) throw error;
-
-    console.log("✅ Contest log deleted:", id);
+    const data = a2zSheetTree(steps, topics, problems, statuses);
 
     res.json({
       success: true,
-      data: { id },
+      data: data,
       error: null,
     });
   } catch (err) {
-    console.error("Error deleting contest log:", err);
+    console.error("Error fetching A2Z sheet:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -998,42 +4684,30 @@ app.delete("/contest-logs/:id", async (req, res) => {
   }
 });
 
-// ==================== 7️⃣ A2Z STRIVER PROGRESS ====================
-
-// GET /a2z-progress
-app.get("/a2z-progress", async (req, res) => {
+// POST /a2z-sheet/seed
+// Loads the bundled sheet. Rows are upserted on their keys, so seeding again
+// picks up changes to the file without touching problem statuses.
+app.post("/a2z-sheet/seed", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("a2z_progress")
-      .select("*")
-      .single();
-
-    if (error) {
-      if (error.code === "PGRST116") {
-        // No row exists, create one with defaults
-        const { data: newData, error: insertError } = await supabase
-          .from("a2z_progress")
-          .insert({
-            easy_total: 0,
-            easy_solved: 0,
-            medium_total: 0,
-            medium_solved: 0,
-            hard_total: 0,
-            hard_solved: 0,
-          })
-          .select()
-          .single();
-
-        if (insertError) throw insertError;
-
-        return res.json({
-          success: true,
-          data: newData,
-          error: null,
-        });
-      }
-      throw error;
+    const { steps, topics, problems } = await loadA2zSheet(a2zSheetFile);
+
+    for (const step of steps) {
+      await db.upsert("a2z_steps", step, { onConflict: ["number"] });
+    }
+    for (const topic of topics) {
+      await db.upsert("a2z_topics", topic, { onConflict: ["key"] });
     }
+    for (const problem of problems) {
+      await db.upsert("a2z_problems", problem, { onConflict: ["slug"] });
+    }
+
+    const data = {
+      steps: steps.length,
+      topics: topics.length,
+      problems: problems.length,
+    };
+
+    console.log("✅ A2Z sheet seeded:", data);
 
     res.json({
       success: true,
@@ -1041,7 +4715,7 @@ app.get("/a2z-progress", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error fetching A2Z progress:", err);
+    console.error("Error seeding A2Z sheet:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -1050,47 +4724,36 @@ app.get("/a2z-progress", async (req, res) => {
   }
 });
 
-// PUT /a2z-progress
-app.put("/a2z-progress", async (req, res) => {
+// PUT /a2z-sheet/problems/:id
+app.put("/a2z-sheet/problems/:id", async (req, res) => {
   try {
-    const updates = req.body;
-
-    // Get the single row
-    const { data: existing } = await supabase
-      .from("a2z_progress")
-      .select("*")
-      .single();
-
-    if (!existing) {
-      // Create if doesn't exist
-      const { data, error } = await supabase
-        .from("a2z_progress")
-        .insert(updates)
-        .select()
-        .single();
-
-      if (error) throw error;
+    const { id } = req.params;
+    const { status } = req.body;
 
-      console.log("✅ A2Z progress created:", data);
+    const problem = await db.get("a2z_problems", { id });
 
-      return res.json({
-        success: true,
-        data: data,
-        error: null,
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "A2Z problem not found",
       });
     }
 
-    // Update existing
-    const { data, error } = await supabase
-      .from("a2z_progress")
-      .update(updates)
-      .eq("id", existing.id)
-      .select()
-      .single();
+    await db.upsert(
+      "a2z_problem_progress",
+      {
+        profile: req.profile,
+        problem_id: problem.id,
+        status,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: ["profile", "problem_id"] }
+    );
 
-    if (error) throw error;
+    const data = { ...problem, profile: req.profile, status };
 
-    console.log("✅ A2Z progress updated:", data);
+    console.log("✅ A2Z problem status updated:", data);
 
     res.json({
       success: true,
@@ -1098,7 +4761,7 @@ app.put("/a2z-progress", async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error updating A2Z progress:", err);
+    console.error("Error updating A2Z problem status:", err);
     res.status(500).json({
       success: false,
       data: null,
@@ -1109,15 +4772,16 @@ app.put("/a2z-progress", async (req, res) => {
 
 // ==================== 8️⃣ BLIND 75 ====================
 
-// GET /blind75
+// GET /blind75?profile=piyush
 app.get("/blind75", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("blind75")
-      .select("*")
-      .order("question_name", { ascending: true });
+    const { profile = req.profile } = req.query;
 
-    if (error) throw error;
+    const data = await db.list(
+      "blind75",
+      { profile },
+      { orderBy: "question_name" }
+    );
 
     res.json({
       success: true,
@@ -1137,23 +4801,14 @@ app.get("/blind75", async (req, res) => {
 // POST /blind75
 app.post("/blind75", async (req, res) => {
   try {
-    const { question_name, solution_link, completed } = req.body;
-
-    if (!question_name) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: "Question name is required",
-      });
-    }
+    const { profile, question_name, solution_link, completed } = req.body;
 
-    const { data, error } = await supabase
-      .from("blind75")
-      .insert({ question_name, solution_link, completed: completed || false })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const data = await db.insert("blind75", {
+      profile,
+      question_name,
+      solution_link,
+      completed: completed || false,
+    });
 
     console.log("✅ Blind75 question created:", data);
 
@@ -1178,14 +4833,19 @@ app.put("/blind75/:id", async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
-    const { data, error } = await supabase
-      .from("blind75")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
+    const [data] = await db.update(
+      "blind75",
+      { id, profile: req.profile },
+      updates
+    );
 
-    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Blind75 question not found",
+      });
+    }
 
     console.log("✅ Blind75 question updated:", data);
 
@@ -1209,9 +4869,18 @@ app.delete("/blind75/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase.from("blind75").delete().eq("id", id);
+    const deleted = await db.delete("blind75", {
+      id,
+      profile: req.profile,
+    });
 
-    if (error) throw error;
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Blind75 question not found",
+      });
+    }
 
     console.log("✅ Blind75 question deleted:", id);
 
@@ -1245,13 +4914,11 @@ app.get("/courses", async (req, res) => {
       });
     }
 
-    const { data, error } = await supabase
-      .from("courses")
-      .select("*")
-      .eq("profile", profile)
-      .order("course_name", { ascending: true });
-
-    if (error) throw error;
+    const data = await db.list(
+      "courses",
+      { profile },
+      { orderBy: "course_name" }
+    );
 
     res.json({
       success: true,
@@ -1274,27 +4941,13 @@ app.post("/courses", async (req, res) => {
     const { profile, course_name, platform, total_content, completed_content } =
       req.body;
 
-    if (!profile || !course_name || !platform) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: "Profile, course_name, and platform are required",
-      });
-    }
-
-    const { data, error } = await supabase
-      .from("courses")
-      .insert({
-        profile,
-        course_name,
-        platform,
-        total_content: total_content || 100,
-        completed_content: completed_content || 0,
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const data = await db.insert("courses", {
+      profile,
+      course_name,
+      platform,
+      total_content: total_content || 100,
+      completed_content: completed_content || 0,
+    });
 
     console.log("✅ Course created:", data);
 
@@ -1319,14 +4972,19 @@ app.put("/courses/:id", async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
-    const { data, error } = await supabase
-      .from("courses")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
+    const [data] = await db.update(
+      "courses",
+      { id, profile: req.profile },
+      updates
+    );
 
-    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Course not found",
+      });
+    }
 
     console.log("✅ Course updated:", data);
 
@@ -1350,9 +5008,15 @@ app.delete("/courses/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase.from("courses").delete().eq("id", id);
+    const deleted = await db.delete("courses", { id, profile: req.profile });
 
-    if (error) throw error;
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Course not found",
+      });
+    }
 
     console.log("✅ Course deleted:", id);
 
@@ -1386,13 +5050,11 @@ app.get("/certificates", async (req, res) => {
       });
     }
 
-    const { data, error } = await supabase
-      .from("certificates")
-      .select("*")
-      .eq("profile", profile)
-      .order("date", { ascending: false });
-
-    if (error) throw error;
+    const data = await db.list(
+      "certificates",
+      { profile },
+      { orderBy: "date", ascending: false }
+    );
 
     res.json({
       success: true,
@@ -1414,21 +5076,13 @@ app.post("/certificates", async (req, res) => {
   try {
     const { profile, title, issuer, date, file_url } = req.body;
 
-    if (!profile || !title || !issuer || !date) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: "Profile, title, issuer, and date are required",
-      });
-    }
-
-    const { data, error } = await supabase
-      .from("certificates")
-      .insert({ profile, title, issuer, date, file_url })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const data = await db.insert("certificates", {
+      profile,
+      title,
+      issuer,
+      date,
+      file_url,
+    });
 
     console.log("✅ Certificate created:", data);
 
@@ -1452,9 +5106,18 @@ app.delete("/certificates/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase.from("certificates").delete().eq("id", id);
+    const deleted = await db.delete("certificates", {
+      id,
+      profile: req.profile,
+    });
 
-    if (error) throw error;
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Certificate not found",
+      });
+    }
 
     console.log("✅ Certificate deleted:", id);
 
@@ -1478,12 +5141,11 @@ app.delete("/certificates/:id", async (req, res) => {
 // GET /resume-sections
 app.get("/resume-sections", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("resume_sections")
-      .select("*")
-      .order("sort_order", { ascending: true });
-
-    if (error) throw error;
+    const data = await db.list(
+      "resume_sections",
+      {},
+      { orderBy: "sort_order" }
+    );
 
     res.json({
       success: true,
@@ -1506,14 +5168,15 @@ app.put("/resume-sections/:id", async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
-    const { data, error } = await supabase
-      .from("resume_sections")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
+    const [data] = await db.update("resume_sections", { id }, updates);
 
-    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Resume section not found",
+      });
+    }
 
     console.log("✅ Resume section updated:", data);
 
@@ -1547,13 +5210,11 @@ app.get("/projects", async (req, res) => {
       });
     }
 
-    const { data, error } = await supabase
-      .from("projects")
-      .select("*")
-      .eq("profile", profile)
-      .order("project_name", { ascending: true });
-
-    if (error) throw error;
+    const data = await db.list(
+      "projects",
+      { profile },
+      { orderBy: "project_name" }
+    );
 
     res.json({
       success: true,
@@ -1575,21 +5236,12 @@ app.post("/projects", async (req, res) => {
   try {
     const { profile, project_name, description, notes } = req.body;
 
-    if (!profile || !project_name) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: "Profile and project_name are required",
-      });
-    }
-
-    const { data, error } = await supabase
-      .from("projects")
-      .insert({ profile, project_name, description, notes })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const data = await db.insert("projects", {
+      profile,
+      project_name,
+      description,
+      notes,
+    });
 
     console.log("✅ Project created:", data);
 
@@ -1614,14 +5266,19 @@ app.put("/projects/:id", async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
-    const { data, error } = await supabase
-      .from("projects")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
+    const [data] = await db.update(
+      "projects",
+      { id, profile: req.profile },
+      updates
+    );
 
-    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Project not found",
+      });
+    }
 
     console.log("✅ Project updated:", data);
 
@@ -1645,9 +5302,15 @@ app.delete("/projects/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase.from("projects").delete().eq("id", id);
+    const deleted = await db.delete("projects", { id, profile: req.profile });
 
-    if (error) throw error;
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Project not found",
+      });
+    }
 
     console.log("✅ Project deleted:", id);
 
@@ -1681,13 +5344,11 @@ app.get("/skills", async (req, res) => {
       });
     }
 
-    const { data, error } = await supabase
-      .from("skills")
-      .select("*")
-      .eq("profile", profile)
-      .order("skill_name", { ascending: true });
-
-    if (error) throw error;
+    const data = await db.list(
+      "skills",
+      { profile },
+      { orderBy: "skill_name" }
+    );
 
     res.json({
       success: true,
@@ -1709,21 +5370,7 @@ app.post("/skills", async (req, res) => {
   try {
     const { profile, skill_name, notes } = req.body;
 
-    if (!profile || !skill_name) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: "Profile and skill_name are required",
-      });
-    }
-
-    const { data, error } = await supabase
-      .from("skills")
-      .insert({ profile, skill_name, notes })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const data = await db.insert("skills", { profile, skill_name, notes });
 
     console.log("✅ Skill created:", data);
 
@@ -1748,14 +5395,19 @@ app.put("/skills/:id", async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
-    const { data, error } = await supabase
-      .from("skills")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
+    const [data] = await db.update(
+      "skills",
+      { id, profile: req.profile },
+      updates
+    );
 
-    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Skill not found",
+      });
+    }
 
     console.log("✅ Skill updated:", data);
 
@@ -1779,9 +5431,15 @@ app.delete("/skills/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase.from("skills").delete().eq("id", id);
+    const deleted = await db.delete("skills", { id, profile: req.profile });
 
-    if (error) throw error;
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Skill not found",
+      });
+    }
 
     console.log("✅ Skill deleted:", id);
 
@@ -1802,15 +5460,16 @@ app.delete("/skills/:id", async (req, res) => {
 
 // ==================== 1️⃣4️⃣ CASE STUDIES ====================
 
-// GET /case-studies
+// GET /case-studies?profile=shruti
 app.get("/case-studies", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("case_studies")
-      .select("*")
-      .order("date", { ascending: false });
+    const { profile = req.profile } = req.query;
 
-    if (error) throw error;
+    const data = await db.list(
+      "case_studies",
+      { profile },
+      { orderBy: "date", ascending: false }
+    );
 
     res.json({
       success: true,
@@ -1830,23 +5489,14 @@ app.get("/case-studies", async (req, res) => {
 // POST /case-studies
 app.post("/case-studies", async (req, res) => {
   try {
-    const { title, notes, date } = req.body;
+    const { profile, title, notes, date } = req.body;
 
-    if (!title || !date) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: "Title and date are required",
-      });
-    }
-
-    const { data, error } = await supabase
-      .from("case_studies")
-      .insert({ title, notes, date })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const data = await db.insert("case_studies", {
+      profile,
+      title,
+      notes,
+      date,
+    });
 
     console.log("✅ Case study created:", data);
 
@@ -1871,14 +5521,19 @@ app.put("/case-studies/:id", async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
-    const { data, error } = await supabase
-      .from("case_studies")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
+    const [data] = await db.update(
+      "case_studies",
+      { id, profile: req.profile },
+      updates
+    );
 
-    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Case study not found",
+      });
+    }
 
     console.log("✅ Case study updated:", data);
 
@@ -1902,9 +5557,18 @@ app.delete("/case-studies/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase.from("case_studies").delete().eq("id", id);
+    const deleted = await db.delete("case_studies", {
+      id,
+      profile: req.profile,
+    });
 
-    if (error) throw error;
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Case study not found",
+      });
+    }
 
     console.log("✅ Case study deleted:", id);
 
@@ -1925,15 +5589,16 @@ app.delete("/case-studies/:id", async (req, res) => {
 
 // ==================== 1️⃣5️⃣ GUESSTIMATES ====================
 
-// GET /guesstimates
+// GET /guesstimates?profile=shruti
 app.get("/guesstimates", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("guesstimates")
-      .select("*")
-      .order("topic", { ascending: true });
+    const { profile = req.profile } = req.query;
 
-    if (error) throw error;
+    const data = await db.list(
+      "guesstimates",
+      { profile },
+      { orderBy: "topic" }
+    );
 
     res.json({
       success: true,
@@ -1953,23 +5618,14 @@ app.get("/guesstimates", async (req, res) => {
 // POST /guesstimates
 app.post("/guesstimates", async (req, res) => {
   try {
-    const { topic, learnings, notes } = req.body;
-
-    if (!topic) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: "Topic is required",
-      });
-    }
-
-    const { data, error } = await supabase
-      .from("guesstimates")
-      .insert({ topic, learnings, notes })
-      .select()
-      .single();
+    const { profile, topic, learnings, notes } = req.body;
 
-    if (error) throw error;
+    const data = await db.insert("guesstimates", {
+      profile,
+      topic,
+      learnings,
+      notes,
+    });
 
     console.log("✅ Guesstimate created:", data);
 
@@ -1994,14 +5650,19 @@ app.put("/guesstimates/:id", async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
-    const { data, error } = await supabase
-      .from("guesstimates")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
+    const [data] = await db.update(
+      "guesstimates",
+      { id, profile: req.profile },
+      updates
+    );
 
-    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Guesstimate not found",
+      });
+    }
 
     console.log("✅ Guesstimate updated:", data);
 
@@ -2025,9 +5686,18 @@ app.delete("/guesstimates/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase.from("guesstimates").delete().eq("id", id);
+    const deleted = await db.delete("guesstimates", {
+      id,
+      profile: req.profile,
+    });
 
-    if (error) throw error;
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Guesstimate not found",
+      });
+    }
 
     console.log("✅ Guesstimate deleted:", id);
 
@@ -2048,15 +5718,16 @@ app.delete("/guesstimates/:id", async (req, res) => {
 
 // ==================== 1️⃣6️⃣ CASE COMPETITIONS ====================
 
-// GET /case-competitions
+// GET /case-competitions?profile=shruti
 app.get("/case-competitions", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("case_competitions")
-      .select("*")
-      .order("competition_name", { ascending: true });
+    const { profile = req.profile } = req.query;
 
-    if (error) throw error;
+    const data = await db.list(
+      "case_competitions",
+      { profile },
+      { orderBy: "competition_name" }
+    );
 
     res.json({
       success: true,
@@ -2076,23 +5747,14 @@ app.get("/case-competitions", async (req, res) => {
 // POST /case-competitions
 app.post("/case-competitions", async (req, res) => {
   try {
-    const { competition_name, notes, document_url } = req.body;
-
-    if (!competition_name) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: "Competition name is required",
-      });
-    }
-
-    const { data, error } = await supabase
-      .from("case_competitions")
-      .insert({ competition_name, notes, document_url })
-      .select()
-      .single();
+    const { profile, competition_name, notes, document_url } = req.body;
 
-    if (error) throw error;
+    const data = await db.insert("case_competitions", {
+      profile,
+      competition_name,
+      notes,
+      document_url,
+    });
 
     console.log("✅ Case competition created:", data);
 
@@ -2117,14 +5779,19 @@ app.put("/case-competitions/:id", async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
-    const { data, error } = await supabase
-      .from("case_competitions")
-      .update(updates)
-      .eq("id", id)
-      .select()
-      .single();
+    const [data] = await db.update(
+      "case_competitions",
+      { id, profile: req.profile },
+      updates
+    );
 
-    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Case competition not found",
+      });
+    }
 
     console.log("✅ Case competition updated:", data);
 
@@ -2148,12 +5815,18 @@ app.delete("/case-competitions/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase
-      .from("case_competitions")
-      .delete()
-      .eq("id", id);
+    const deleted = await db.delete("case_competitions", {
+      id,
+      profile: req.profile,
+    });
 
-    if (error) throw error;
+    if (deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: "Case competition not found",
+      });
+    }
 
     console.log("✅ Case competition deleted:", id);
 
@@ -2179,14 +5852,6 @@ app.post("/upload/certificate", async (req, res) => {
   try {
     const { fileName, fileBase64, profile } = req.body;
 
-    if (!fileName || !fileBase64 || !profile) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: "fileName, fileBase64, and profile are required",
-      });
-    }
-
     // Convert base64 to buffer
     const fileBuffer = Buffer.from(fileBase64, "base64");
 
@@ -2194,20 +5859,13 @@ app.post("/upload/certificate", async (req, res) => {
     const timestamp = Date.now();
     const uniqueFileName = `${profile}/certificates/${timestamp}-${fileName}`;
 
-    // Upload to Supabase Storage
-    const { data, error } = await supabase.storage
-      .from("certificates")
-      .upload(uniqueFileName, fileBuffer, {
-        contentType: "application/pdf",
-        upsert: false,
-      });
-
-    if (error) throw error;
-
-    // Get public URL
-    const {
-      data: { publicUrl },
-    } = supabase.storage.from("certificates").getPublicUrl(uniqueFileName);
+    // Upload to storage and get the public URL
+    const { path, publicUrl } = await db.upload(
+      "certificates",
+      uniqueFileName,
+      fileBuffer,
+      { contentType: "application/pdf" }
+    );
 
     console.log("✅ Certificate uploaded:", publicUrl);
 
@@ -2215,7 +5873,7 @@ app.post("/upload/certificate", async (req, res) => {
       success: true,
       data: {
         file_url: publicUrl,
-        path: data.path,
+        path: path,
       },
       error: null,
     });
@@ -2232,37 +5890,22 @@ app.post("/upload/certificate", async (req, res) => {
 // POST /upload/case-competition-doc
 app.post("/upload/case-competition-doc", async (req, res) => {
   try {
-    const { fileName, fileBase64 } = req.body;
-
-    if (!fileName || !fileBase64) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: "fileName and fileBase64 are required",
-      });
-    }
+    const { fileName, fileBase64, profile } = req.body;
 
     // Convert base64 to buffer
     const fileBuffer = Buffer.from(fileBase64, "base64");
 
     // Generate unique filename
     const timestamp = Date.now();
-    const uniqueFileName = `case-competitions/${timestamp}-${fileName}`;
+    const uniqueFileName = `${profile}/case-competitions/${timestamp}-${fileName}`;
 
-    // Upload to Supabase Storage
-    const { data, error } = await supabase.storage
-      .from("documents")
-      .upload(uniqueFileName, fileBuffer, {
-        contentType: "application/pdf",
-        upsert: false,
-      });
-
-    if (error) throw error;
-
-    // Get public URL
-    const {
-      data: { publicUrl },
-    } = supabase.storage.from("documents").getPublicUrl(uniqueFileName);
+    // Upload to storage and get the public URL
+    const { path, publicUrl } = await db.upload(
+      "documents",
+      uniqueFileName,
+      fileBuffer,
+      { contentType: "application/pdf" }
+    );
 
     console.log("✅ Case competition document uploaded:", publicUrl);
 
@@ -2270,7 +5913,7 @@ app.post("/upload/case-competition-doc", async (req, res) => {
       success: true,
       data: {
         file_url: publicUrl,
-        path: data.path,
+        path: path,
       },
       error: null,
     });
@@ -2286,8 +5929,18 @@ app.post("/upload/case-competition-doc", async (req, res) => {
 
 // ==================== START SERVER ====================
 
-app.listen(port, () => {
-  console.log(`🚀 Internship Preparation Tracker API running on port ${port}`);
-  console.log(`📊 Supabase connected: ${supabaseUrl}`);
-  console.log(`⏰ Server started at: ${new Date().toISOString()}`);
-});
\ No newline at end of file
+// Only listen when run directly, so tests can import the app
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  app.listen(port, () => {
+    console.log(
+      `🚀 Internship Preparation Tracker API running on port ${port}`
+    );
+    console.log(`📊 Data backend: ${db.name}`);
+    console.log(`⏰ Server started at: ${new Date().toISOString()}`);
+  });
+
+  todoScheduler.start();
+}
+
+export { materializeRecurringTodos };
+export default app;
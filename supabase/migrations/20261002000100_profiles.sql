@@ -0,0 +1,30 @@
+-- Profiles registry and the shared daily_logs table.
+--
+-- Apply the files in this folder in name order, either with
+-- `supabase db push` or by pasting them into the SQL editor. Every
+-- statement is idempotent, so re-running a file is harmless. Ids are bigint
+-- identity columns, like the tables Supabase creates by default.
+
+create table if not exists profiles (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  name text not null unique,
+  display_name text not null,
+  -- Set only for the built-in profiles that keep their own table
+  daily_log_table text,
+  daily_log_metrics jsonb not null default '[]'::jsonb
+);
+
+-- Daily logs of every profile without a daily_log_table; metric values
+-- live in the metrics object
+create table if not exists daily_logs (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  profile text not null,
+  date date not null,
+  metrics jsonb not null default '{}'::jsonb,
+  notes text
+);
+
+create index if not exists daily_logs_profile_date_idx
+  on daily_logs (profile, date);
@@ -0,0 +1,41 @@
+-- Login credentials, and a profile on the trackers that used to be shared
+-- by everyone who could log in: Blind 75, case studies, guesstimates, case
+-- competitions, CP ratings and contest logs.
+--
+-- Rows created before this migration are handed to the profile that kept
+-- them: the DSA/CP trackers to piyush, the case prep to shruti. Change the
+-- names in the updates below first if that isn't right for your data.
+
+create table if not exists profile_credentials (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  profile text not null unique,
+  password_hash text not null
+);
+
+alter table blind75 add column if not exists profile text;
+alter table case_studies add column if not exists profile text;
+alter table guesstimates add column if not exists profile text;
+alter table case_competitions add column if not exists profile text;
+alter table cp_ratings add column if not exists profile text;
+alter table contest_logs add column if not exists profile text;
+
+update blind75 set profile = 'piyush' where profile is null;
+update cp_ratings set profile = 'piyush' where profile is null;
+update contest_logs set profile = 'piyush' where profile is null;
+update case_studies set profile = 'shruti' where profile is null;
+update guesstimates set profile = 'shruti' where profile is null;
+update case_competitions set profile = 'shruti' where profile is null;
+
+alter table blind75 alter column profile set not null;
+alter table case_studies alter column profile set not null;
+alter table guesstimates alter column profile set not null;
+alter table case_competitions alter column profile set not null;
+alter table cp_ratings alter column profile set not null;
+alter table contest_logs alter column profile set not null;
+
+create unique index if not exists cp_ratings_profile_platform_key
+  on cp_ratings (profile, platform);
+
+create index if not exists contest_logs_profile_date_idx
+  on contest_logs (profile, date);
@@ -0,0 +1,4 @@
+-- Which days a habit is due on; null means every day (see
+-- lib/habitSchedule.js for the format).
+
+alter table habits add column if not exists schedule jsonb;
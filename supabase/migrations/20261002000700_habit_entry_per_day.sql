@@ -0,0 +1,15 @@
+-- One entry per habit and day, so PUT /habit-entries and
+-- POST /habit-entries/batch can upsert on (habit_id, date).
+--
+-- Older clients could create several entries for the same day. Keep one
+-- per day: a completed entry if there is one, otherwise the latest.
+
+delete from habit_entries e
+using habit_entries keep
+where e.habit_id = keep.habit_id
+  and e.date = keep.date
+  and e.id <> keep.id
+  and (keep.completed, keep.id) > (e.completed, e.id);
+
+create unique index if not exists habit_entries_habit_id_date_key
+  on habit_entries (habit_id, date);
@@ -0,0 +1,7 @@
+-- Numeric targets: a habit's daily target and unit, and the amount each
+-- entry recorded.
+
+alter table habits add column if not exists target numeric;
+alter table habits add column if not exists unit text;
+
+alter table habit_entries add column if not exists value numeric;
@@ -0,0 +1,3 @@
+-- Archived habits keep their entries and drop out of the default lists.
+
+alter table habits add column if not exists archived_at timestamptz;
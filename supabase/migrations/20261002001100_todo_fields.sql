@@ -0,0 +1,7 @@
+-- Todo priority, due date, tags and completion.
+
+alter table todos add column if not exists priority text not null default 'medium';
+alter table todos add column if not exists due_date date;
+alter table todos add column if not exists tags text[] not null default '{}';
+alter table todos add column if not exists done boolean not null default false;
+alter table todos add column if not exists completed_at timestamptz;
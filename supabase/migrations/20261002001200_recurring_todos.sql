@@ -0,0 +1,5 @@
+-- Recurring todos: the rule (see lib/recurrence.js) and a link to the
+-- occurrence created once this one was completed or its next date arrived.
+
+alter table todos add column if not exists recurrence jsonb;
+alter table todos add column if not exists next_todo_id bigint;
@@ -0,0 +1,13 @@
+-- Checklist items under a todo; they go when the todo is deleted.
+
+create table if not exists todo_subtasks (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  todo_id bigint not null references todos (id) on delete cascade,
+  content text not null,
+  done boolean not null default false,
+  completed_at timestamptz,
+  sort_order integer not null default 0
+);
+
+create index if not exists todo_subtasks_todo_id_idx on todo_subtasks (todo_id);
@@ -0,0 +1,49 @@
+-- One daily log per profile and day, which POST /daily-logs/:profile and
+-- the upsert by date rely on.
+--
+-- Duplicate days aren't merged automatically, as their counts may or may
+-- not overlap. If this stops with "has several logs for one day", combine
+-- the listed rows by hand and run it again.
+
+do $$
+declare
+  dupes text;
+begin
+  select string_agg(format('%s %s', profile, date), ', ')
+  into dupes
+  from (
+    select profile, date from daily_logs group by profile, date having count(*) > 1
+  ) d;
+  if dupes is not null then
+    raise exception 'daily_logs has several logs for one day: %', dupes;
+  end if;
+
+  select string_agg(date::text, ', ')
+  into dupes
+  from (
+    select date from daily_logs_piyush group by date having count(*) > 1
+  ) d;
+  if dupes is not null then
+    raise exception 'daily_logs_piyush has several logs for one day: %', dupes;
+  end if;
+
+  select string_agg(date::text, ', ')
+  into dupes
+  from (
+    select date from daily_logs_shruti group by date having count(*) > 1
+  ) d;
+  if dupes is not null then
+    raise exception 'daily_logs_shruti has several logs for one day: %', dupes;
+  end if;
+end
+$$;
+
+drop index if exists daily_logs_profile_date_idx;
+create unique index if not exists daily_logs_profile_date_key
+  on daily_logs (profile, date);
+
+create unique index if not exists daily_logs_piyush_date_key
+  on daily_logs_piyush (date);
+
+create unique index if not exists daily_logs_shruti_date_key
+  on daily_logs_shruti (date);
@@ -0,0 +1,11 @@
+-- Targets for daily log metrics per day, week or month.
+
+create table if not exists daily_log_goals (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  profile text not null,
+  metric text not null,
+  period text not null,
+  target integer not null check (target >= 1),
+  unique (profile, metric, period)
+);
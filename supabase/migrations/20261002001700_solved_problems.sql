@@ -0,0 +1,22 @@
+-- One row per solved problem; each adds one to a metric of its day's log.
+
+create table if not exists solved_problems (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  profile text not null,
+  date date not null,
+  metric text not null,
+  -- The daily log whose metric counts this problem; null once that log
+  -- is deleted
+  daily_log_id bigint,
+  name text not null,
+  link text,
+  platform text,
+  difficulty text,
+  topics text[] not null default '{}',
+  time_taken_minutes integer,
+  attempts integer not null default 1
+);
+
+create index if not exists solved_problems_profile_date_idx
+  on solved_problems (profile, date);
@@ -0,0 +1,17 @@
+-- Every CP rating change, so /cp-ratings can report peak and delta instead
+-- of one overwritten value. source is "manual" or "contest"; contest points
+-- link the contest log they came from.
+
+create table if not exists cp_rating_history (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  profile text not null,
+  platform text not null,
+  rating integer not null,
+  recorded_at timestamptz not null default now(),
+  source text not null default 'manual',
+  contest_log_id bigint
+);
+
+create index if not exists cp_rating_history_profile_platform_idx
+  on cp_rating_history (profile, platform, recorded_at);
@@ -0,0 +1,29 @@
+-- Rank and rating change on contest logs; a log with a new_rating is also a
+-- point in cp_rating_history.
+
+alter table contest_logs add column if not exists rank integer;
+alter table contest_logs add column if not exists old_rating integer;
+alter table contest_logs add column if not exists new_rating integer;
+
+-- Ratings are keyed by the platform's lowercase letters (platformKey in
+-- lib/ratingBands.js), so "Codeforces" from a contest log and "codeforces"
+-- from PUT /cp-ratings share one rating. Where both spellings already have
+-- a current rating, the more recently updated one is kept; every point
+-- stays in the history.
+
+delete from cp_ratings r
+using cp_ratings keep
+where r.profile = keep.profile
+  and lower(regexp_replace(r.platform, '[^A-Za-z]', '', 'g'))
+    = lower(regexp_replace(keep.platform, '[^A-Za-z]', '', 'g'))
+  and r.id <> keep.id
+  and (coalesce(keep.updated_at, keep.created_at), keep.id)
+    > (coalesce(r.updated_at, r.created_at), r.id);
+
+update cp_ratings
+set platform = lower(regexp_replace(platform, '[^A-Za-z]', '', 'g'))
+where platform <> lower(regexp_replace(platform, '[^A-Za-z]', '', 'g'));
+
+update cp_rating_history
+set platform = lower(regexp_replace(platform, '[^A-Za-z]', '', 'g'))
+where platform <> lower(regexp_replace(platform, '[^A-Za-z]', '', 'g'));
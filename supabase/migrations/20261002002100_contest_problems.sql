@@ -0,0 +1,17 @@
+-- Per-problem rows of a contest log, which also make up the upsolve
+-- queue.
+
+create table if not exists contest_problems (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  contest_log_id bigint not null,
+  problem_index text not null,
+  name text,
+  solved_in_contest boolean not null default false,
+  upsolved boolean not null default false,
+  upsolved_at timestamptz,
+  wrong_attempts integer not null default 0,
+  ac_time_minutes integer,
+  tags text[] not null default '{}',
+  unique (contest_log_id, problem_index)
+);
@@ -0,0 +1,25 @@
+-- The shared contest calendar and each profile's plans to attend.
+
+create table if not exists contests (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  platform text not null,
+  -- The platform's own id; null for contests added by hand
+  external_id text,
+  name text not null,
+  start_time timestamptz not null,
+  duration_minutes integer,
+  registration text not null default 'unknown',
+  url text,
+  unique (platform, external_id)
+);
+
+create table if not exists contest_plans (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  contest_id bigint not null references contests (id) on delete cascade,
+  profile text not null,
+  -- Set once the profile logs its result for the contest
+  contest_log_id bigint,
+  unique (contest_id, profile)
+);
@@ -0,0 +1,38 @@
+-- The A2Z sheet (steps → topics → problems), seeded from
+-- data/a2z-sheet.json, and the status of each problem.
+
+create table if not exists a2z_steps (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  number integer not null unique,
+  title text not null
+);
+
+create table if not exists a2z_topics (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  -- "<step number>.<position>"
+  key text not null unique,
+  step_number integer not null,
+  position integer not null,
+  title text not null
+);
+
+create table if not exists a2z_problems (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  slug text not null unique,
+  topic_key text not null,
+  position integer not null,
+  name text not null,
+  difficulty text not null,
+  link text
+);
+
+create table if not exists a2z_problem_progress (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  problem_id bigint not null unique references a2z_problems (id) on delete cascade,
+  status text not null default 'todo',
+  updated_at timestamptz not null default now()
+);
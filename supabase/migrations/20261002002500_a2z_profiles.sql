@@ -0,0 +1,35 @@
+-- A2Z progress per profile: problem statuses and the hand-maintained
+-- counters used until a profile starts tracking per problem.
+--
+-- Statuses and the counter row saved before profiles existed are handed to
+-- piyush, who kept them; change the name below first if that isn't right
+-- for your data. If GET /a2z-progress already created an empty counter row
+-- for that profile, the empty row makes way for the old counters.
+
+alter table a2z_problem_progress add column if not exists profile text;
+
+update a2z_problem_progress set profile = 'piyush' where profile is null;
+
+alter table a2z_problem_progress alter column profile set not null;
+
+alter table a2z_problem_progress
+  drop constraint if exists a2z_problem_progress_problem_id_key;
+
+create unique index if not exists a2z_problem_progress_profile_problem_id_key
+  on a2z_problem_progress (profile, problem_id);
+
+alter table a2z_progress add column if not exists profile text;
+
+delete from a2z_progress
+where profile = 'piyush'
+  and coalesce(easy_solved, 0) + coalesce(medium_solved, 0)
+    + coalesce(hard_solved, 0) = 0
+  and exists (select 1 from a2z_progress where profile is null);
+
+update a2z_progress
+set profile = 'piyush'
+where id = (select min(id) from a2z_progress where profile is null)
+  and not exists (select 1 from a2z_progress where profile = 'piyush');
+
+create unique index if not exists a2z_progress_profile_key
+  on a2z_progress (profile);
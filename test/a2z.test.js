@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startApp } from "./app.js";
+
+let api;
+let piyush;
+let shruti;
+
+before(async () => {
+  api = await startApp();
+  piyush = await api.register("piyush");
+  shruti = await api.register("shruti");
+});
+
+after(() => api.close());
+
+const progress = async () =>
+  (await api.request("GET", "/a2z-progress", { token: piyush })).body.data;
+
+const saveCounters = (body) =>
+  api.request("PUT", "/a2z-progress", { token: piyush, body });
+
+describe("a2z progress", () => {
+  test("hand-kept counters outlive seeding until a problem is marked", async () => {
+    await saveCounters({ easy_total: 10, easy_solved: 4 });
+    await api.request("POST", "/a2z-sheet/seed", { token: piyush });
+
+    const seeded = await progress();
+    const stillWritable = await saveCounters({ easy_solved: 5 });
+
+    assert.equal(seeded.easy_solved, 4);
+    assert.equal(stillWritable.status, 200);
+    assert.equal((await progress()).easy_solved, 5);
+
+    const { body } = await api.request("GET", "/a2z-sheet", { token: piyush });
+    const [problem] = body.data[0].topics[0].problems;
+    await api.request("PUT", `/a2z-sheet/problems/${problem.id}`, {
+      token: piyush,
+      body: { status: "solved" },
+    });
+
+    const derived = await progress();
+    const refused = await saveCounters({ easy_solved: 6 });
+
+    assert.equal(derived[`${problem.difficulty}_solved`], 1);
+    assert.equal(refused.status, 409);
+  });
+});
+
+describe("a2z sheet", () => {
+  const sheet = async () =>
+    (await api.request("GET", "/a2z-sheet", { token: piyush })).body.data;
+
+  test("seeding again doesn't duplicate the sheet", async () => {
+    const problemIds = async () =>
+      (await sheet()).flatMap((step) =>
+        step.topics.flatMap((topic) => topic.problems.map((p) => p.id))
+      );
+    const seeded = await problemIds();
+
+    await api.request("POST", "/a2z-sheet/seed", { token: piyush });
+
+    assert.deepEqual(await problemIds(), seeded);
+  });
+
+  test("a status rolls up into its topic and step", async () => {
+    const [step] = await sheet();
+    const problem = step.topics[0].problems[1];
+
+    const saved = await api.request(
+      "PUT",
+      `/a2z-sheet/problems/${problem.id}`,
+      { token: piyush, body: { status: "revise" } }
+    );
+    const [updated] = await sheet();
+
+    assert.equal(saved.body.data.status, "revise");
+    assert.equal(updated.topics[0].problems[1].status, "revise");
+    assert.equal(updated.topics[0].solved, step.topics[0].solved + 1);
+    assert.equal(updated.solved, step.solved + 1);
+  });
+
+  test("unknown problems and statuses are refused", async () => {
+    const [step] = await sheet();
+    const problem = step.topics[0].problems[0];
+
+    const unknown = await api.request("PUT", "/a2z-sheet/problems/999999", {
+      token: piyush,
+      body: { status: "solved" },
+    });
+    const badStatus = await api.request(
+      "PUT",
+      `/a2z-sheet/problems/${problem.id}`,
+      { token: piyush, body: { status: "done" } }
+    );
+
+    assert.equal(unknown.status, 404);
+    assert.equal(badStatus.status, 400);
+  });
+});
+
+describe("a2z profiles", () => {
+  test("each profile keeps its own statuses", async () => {
+    const { body } = await api.request("GET", "/a2z-sheet", { token: shruti });
+    const problem = body.data[0].topics[0].problems[2];
+
+    await api.request("PUT", `/a2z-sheet/problems/${problem.id}`, {
+      token: shruti,
+      body: { status: "solved" },
+    });
+
+    const mine = await api.request("GET", "/a2z-sheet", { token: piyush });
+    const theirs = await api.request("GET", "/a2z-sheet", { token: shruti });
+    const peek = await api.request("GET", "/a2z-sheet?profile=shruti", {
+      token: piyush,
+    });
+
+    assert.equal(mine.body.data[0].topics[0].problems[2].status, "todo");
+    assert.equal(theirs.body.data[0].topics[0].problems[2].status, "solved");
+    assert.equal(peek.status, 403);
+  });
+
+  test("compare lines every profile up", async () => {
+    const { body } = await api.request("GET", "/a2z-progress/compare", {
+      token: piyush,
+    });
+    const byProfile = Object.fromEntries(
+      body.data.profiles.map((row) => [row.profile, row])
+    );
+
+    assert.equal(byProfile.piyush.solved, 2);
+    assert.equal(byProfile.shruti.solved, 1);
+    assert.equal(byProfile.shruti.steps[0].solved, 1);
+    assert.equal(body.data.steps.length, byProfile.shruti.steps.length);
+  });
+});
@@ -0,0 +1,305 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { signToken } from "../lib/auth.js";
+import {
+  PASSWORD,
+  REGISTRATION_CODE,
+  materializeRecurringTodos,
+  startApp,
+} from "./app.js";
+
+let api;
+let piyush;
+let shruti;
+
+before(async () => {
+  api = await startApp();
+  piyush = await api.register("piyush");
+  shruti = await api.register("shruti");
+});
+
+after(() => api.close());
+
+describe("auth", () => {
+  test("register needs the registration code", async () => {
+    const { status, body } = await api.request("POST", "/auth/register", {
+      body: { profile: "piyush", password: PASSWORD, registration_code: "x" },
+    });
+
+    assert.equal(status, 403);
+    assert.equal(body.error, "Invalid registration code");
+  });
+
+  test("a profile can only be registered once", async () => {
+    const { status } = await api.request("POST", "/auth/register", {
+      body: {
+        profile: "piyush",
+        password: PASSWORD,
+        registration_code: REGISTRATION_CODE,
+      },
+    });
+
+    assert.equal(status, 409);
+  });
+
+  test("login checks the password", async () => {
+    const ok = await api.request("POST", "/auth/login", {
+      body: { profile: "piyush", password: PASSWORD },
+    });
+    const wrong = await api.request("POST", "/auth/login", {
+      body: { profile: "piyush", password: "not-the-password" },
+    });
+
+    assert.equal(ok.status, 200);
+    assert.equal(typeof ok.body.data.token, "string");
+    assert.equal(wrong.status, 401);
+  });
+
+  test("credentials must be strings", async () => {
+    // An object would be read as filter operators and match both profiles
+    const login = await api.request("POST", "/auth/login", {
+      body: { profile: { in: ["piyush", "shruti"] }, password: PASSWORD },
+    });
+    const register = await api.request("POST", "/auth/register", {
+      body: {
+        profile: { neq: "nobody" },
+        password: PASSWORD,
+        registration_code: REGISTRATION_CODE,
+      },
+    });
+    const password = await api.request("POST", "/auth/login", {
+      body: { profile: "piyush", password: ["password123"] },
+    });
+    const change = await api.request("PUT", "/auth/password", {
+      token: piyush,
+      body: { current_password: 12345678, new_password: "new-password" },
+    });
+
+    assert.equal(login.status, 400);
+    assert.equal(register.status, 400);
+    assert.equal(password.status, 400);
+    assert.equal(change.status, 400);
+  });
+
+  test("a signed token whose subject isn't a name is refused", async () => {
+    const token = signToken({ in: ["piyush", "shruti"] }, "test-secret", 60);
+
+    const { status } = await api.request("GET", "/auth/me", { token });
+
+    assert.equal(status, 401);
+  });
+
+  test("routes below the auth section need a token", async () => {
+    const missing = await api.request("GET", "/auth/me");
+    const forged = await api.request("GET", "/auth/me", { token: "abc.def" });
+    const valid = await api.request("GET", "/auth/me", { token: piyush });
+
+    assert.equal(missing.status, 401);
+    assert.equal(forged.status, 401);
+    assert.deepEqual(valid.body.data, { profile: "piyush" });
+  });
+});
+
+describe("profile scoping", () => {
+  test("another profile can't be named in the query or body", async () => {
+    const list = await api.request("GET", "/todos?profile=shruti", {
+      token: piyush,
+    });
+    const create = await api.request("POST", "/todos", {
+      token: piyush,
+      body: { profile: "shruti", content: "not mine" },
+    });
+
+    assert.equal(list.status, 403);
+    assert.equal(create.status, 403);
+  });
+
+  test("another profile's rows can't be changed by id", async () => {
+    const { body } = await api.request("POST", "/blind75", {
+      token: shruti,
+      body: { profile: "shruti", question_name: "Two Sum" },
+    });
+    const { id } = body.data;
+
+    const update = await api.request("PUT", `/blind75/${id}`, {
+      token: piyush,
+      body: { completed: true },
+    });
+    const remove = await api.request("DELETE", `/blind75/${id}`, {
+      token: piyush,
+    });
+    const own = await api.request("GET", "/blind75?profile=piyush", {
+      token: piyush,
+    });
+
+    assert.equal(update.status, 404);
+    assert.equal(remove.status, 404);
+    assert.deepEqual(own.body.data, []);
+  });
+
+  test("lists that took no profile default to the caller's", async () => {
+    await api.request("POST", "/blind75", {
+      token: piyush,
+      body: { profile: "piyush", question_name: "Valid Anagram" },
+    });
+
+    const mine = await api.request("GET", "/blind75", { token: piyush });
+    const theirs = await api.request("GET", "/blind75", { token: shruti });
+
+    assert.deepEqual(
+      mine.body.data.map((row) => row.question_name),
+      ["Valid Anagram"]
+    );
+    assert.deepEqual(
+      theirs.body.data.map((row) => row.question_name),
+      ["Two Sum"]
+    );
+  });
+
+  test("other lists still need the profile parameter", async () => {
+    const { status, body } = await api.request("GET", "/todos", {
+      token: piyush,
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "Profile parameter is required");
+  });
+});
+
+describe("validation", () => {
+  test("an update with nothing writable is refused", async () => {
+    const { body } = await api.request("POST", "/blind75", {
+      token: piyush,
+      body: { profile: "piyush", question_name: "Contains Duplicate" },
+    });
+
+    const { status, body: refused } = await api.request(
+      "PUT",
+      `/blind75/${body.data.id}`,
+      { token: piyush, body: { id: 99, profile: "piyush" } }
+    );
+
+    assert.equal(status, 400);
+    assert.equal(refused.error, "No updatable fields provided");
+  });
+});
+
+describe("todos", () => {
+  test("create, list, update and delete", async () => {
+    const created = await api.request("POST", "/todos", {
+      token: piyush,
+      body: { profile: "piyush", content: "Revise graphs", priority: "high" },
+    });
+
+    assert.equal(created.status, 200);
+    assert.equal(created.body.data.done, false);
+
+    const { id } = created.body.data;
+
+    const updated = await api.request("PUT", `/todos/${id}`, {
+      token: piyush,
+      body: { done: true },
+    });
+
+    assert.equal(updated.body.data.done, true);
+    assert.ok(updated.body.data.completed_at);
+
+    const list = await api.request("GET", "/todos?profile=piyush", {
+      token: piyush,
+    });
+
+    assert.deepEqual(
+      list.body.data.map((todo) => todo.content),
+      ["Revise graphs"]
+    );
+
+    const removed = await api.request("DELETE", `/todos/${id}`, {
+      token: piyush,
+    });
+    const missing = await api.request("DELETE", `/todos/${id}`, {
+      token: piyush,
+    });
+
+    assert.equal(removed.status, 200);
+    assert.equal(missing.status, 404);
+  });
+
+  test("invalid bodies are rejected", async () => {
+    const { status, body } = await api.request("POST", "/todos", {
+      token: piyush,
+      body: { profile: "piyush", content: "x", priority: "urgent" },
+    });
+
+    assert.equal(status, 400);
+    assert.ok(body.details.priority);
+  });
+
+  test("ticking the last subtask completes the todo", async () => {
+    const { body } = await api.request("POST", "/todos", {
+      token: piyush,
+      body: { profile: "piyush", content: "Ship the release" },
+    });
+    const { id } = body.data;
+
+    const addSubtask = async (content) => {
+      const { body } = await api.request("POST", `/todos/${id}/subtasks`, {
+        token: piyush,
+        body: { content },
+      });
+
+      return body.data.subtask;
+    };
+    const tick = async (subtask) => {
+      const { body } = await api.request(
+        "PUT",
+        `/todos/${id}/subtasks/${subtask.id}`,
+        { token: piyush, body: { done: true } }
+      );
+
+      return body.data.todo;
+    };
+
+    const first = await addSubtask("Run the tests");
+    const second = await addSubtask("Write the notes");
+    const halfway = await tick(first);
+    const finished = await tick(second);
+    const theirs = await api.request("POST", `/todos/${id}/subtasks`, {
+      token: shruti,
+      body: { content: "Not mine" },
+    });
+
+    assert.equal(halfway.done, false);
+    assert.equal(halfway.progress, 50);
+    assert.equal(finished.done, true);
+    assert.equal(finished.subtasks_done, 2);
+    assert.equal(theirs.status, 404);
+  });
+
+  test("the scheduler creates arrived occurrences of recurring todos", async () => {
+    const { body } = await api.request("POST", "/todos", {
+      token: shruti,
+      body: {
+        profile: "shruti",
+        content: "Pay rent",
+        due_date: "2026-01-31",
+        recurrence: { type: "monthly" },
+      },
+    });
+
+    assert.deepEqual(body.data.recurrence, { type: "monthly", day: 31 });
+
+    const [february] = await materializeRecurringTodos(
+      new Date("2026-03-05T12:00:00Z")
+    );
+    const [march] = await materializeRecurringTodos(
+      new Date("2026-04-01T12:00:00Z")
+    );
+
+    assert.equal(february.due_date, "2026-02-28");
+    assert.equal(march.due_date, "2026-03-31");
+    assert.deepEqual(
+      await materializeRecurringTodos(new Date("2026-04-01T12:00:00Z")),
+      []
+    );
+  });
+});
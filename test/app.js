@@ -0,0 +1,64 @@
+import { once } from "events";
+
+// Starts the API on a free port against the in-memory backend. node --test
+// runs each test file in its own process, so every file gets an empty store.
+
+process.env.DATA_BACKEND = "memory";
+process.env.AUTH_SECRET = "test-secret";
+process.env.AUTH_REGISTRATION_CODE = "test-code";
+process.env.CORS_ORIGINS = "http://localhost:5173";
+
+// The handlers' "✅ ..." logs would interleave with the test runner's own
+// output on stdout; errors still go to stderr
+console.log = () => {};
+
+const { default: app, materializeRecurringTodos } = await import(
+  "../server.js"
+);
+
+export const REGISTRATION_CODE = "test-code";
+export const PASSWORD = "password123";
+
+export { materializeRecurringTodos };
+
+export const startApp = async () => {
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Resolves to { status, body } with the parsed JSON body
+  const request = async (method, path, { token, body } = {}) => {
+    const headers = {};
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (body !== undefined) headers["content-type"] = "application/json";
+
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    return { status: res.status, body: await res.json() };
+  };
+
+  // Sets the profile's password and returns its token
+  const register = async (profile) => {
+    const { body } = await request("POST", "/auth/register", {
+      body: {
+        profile,
+        password: PASSWORD,
+        registration_code: REGISTRATION_CODE,
+      },
+    });
+
+    return body.data.token;
+  };
+
+  const close = () => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  };
+
+  return { request, register, close };
+};
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import http from "node:http";
+import { after, before, describe, test } from "node:test";
+import { loadContestFeed } from "../lib/contestImport.js";
+
+let server;
+let origin;
+
+// A stand-in feed that serves JSON at /feed and redirects from /moved
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/moved") {
+      res.writeHead(302, { location: "/feed" }).end();
+      return;
+    }
+
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify({ status: "OK", result: [] }));
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const load = (url) => loadContestFeed({ url }, { allowedUrls: [origin] });
+
+describe("loadContestFeed", () => {
+  test("fetches from an allowed origin", async () => {
+    assert.deepEqual(await load(`${origin}/feed`), {
+      status: "OK",
+      result: [],
+    });
+  });
+
+  test("URLs that only start with an allowed origin are refused", async () => {
+    await assert.rejects(load(`${origin}@example.com/feed`), /not in/);
+    await assert.rejects(load(`${origin}0/feed`), /not in/);
+    await assert.rejects(load("not a url"), /not in/);
+  });
+
+  test("redirects are not followed", async () => {
+    await assert.rejects(load(`${origin}/moved`));
+  });
+});
@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { contestStats } from "../lib/contestStats.js";
+
+const logs = [
+  {
+    id: 1,
+    platform: "codeforces",
+    contest_name: "Round 1",
+    date: "2026-09-01",
+    problems_solved: 2,
+    total_problems: 4,
+    rank: 100,
+    old_rating: 1400,
+    new_rating: 1450,
+  },
+  {
+    id: 2,
+    platform: "codeforces",
+    contest_name: "Round 2",
+    date: "2026-09-20",
+    problems_solved: 3,
+    total_problems: 4,
+    rank: 50,
+    old_rating: null,
+    new_rating: 1500,
+  },
+  {
+    id: 3,
+    platform: "leetcode",
+    contest_name: "Weekly 1",
+    date: "2026-10-02",
+    problems_solved: 1,
+    total_problems: 4,
+    rank: 2000,
+    old_rating: null,
+    new_rating: 1600,
+  },
+];
+
+describe("contestStats", () => {
+  test("summarizes every contest", () => {
+    const stats = contestStats(logs);
+
+    assert.equal(stats.contests, 3);
+    assert.equal(stats.problems_solved, 6);
+    assert.equal(stats.average_solve_ratio, 0.5);
+    assert.equal(stats.average_rank, 716.7);
+    assert.equal(stats.total_rating_delta, 100);
+    assert.equal(stats.best.id, 2);
+    assert.equal(stats.worst.id, 3);
+    assert.deepEqual(stats.per_month, [
+      { month: "2026-09", contests: 2, average_solve_ratio: 0.625 },
+      { month: "2026-10", contests: 1, average_solve_ratio: 0.25 },
+    ]);
+    assert.deepEqual(Object.keys(stats.by_platform), [
+      "codeforces",
+      "leetcode",
+    ]);
+  });
+
+  test("a missing old rating falls back to the platform's previous contest", () => {
+    const { rating_changes: changes } = contestStats(logs);
+
+    assert.deepEqual(
+      changes.map((change) => [change.id, change.rating_delta]),
+      [
+        [1, 50],
+        [2, 50],
+      ]
+    );
+  });
+
+  test("earlier logs still feed the deltas of contests in range", () => {
+    const stats = contestStats(logs, { from: "2026-09-10", to: "2026-10-31" });
+
+    assert.equal(stats.contests, 2);
+    assert.equal(stats.rating_changes[0].rating_delta, 50);
+    assert.deepEqual(
+      stats.per_month.map((month) => month.month),
+      ["2026-09", "2026-10"]
+    );
+  });
+
+  test("platforms are grouped regardless of how they were typed", () => {
+    const stats = contestStats([
+      logs[0],
+      { ...logs[1], platform: "Code Forces" },
+    ]);
+
+    assert.deepEqual(Object.keys(stats.by_platform), ["codeforces"]);
+    assert.equal(stats.by_platform.codeforces.contests, 2);
+    assert.equal(stats.rating_changes[1].rating_delta, 50);
+  });
+
+  test("no logs gives empty stats", () => {
+    const stats = contestStats([]);
+
+    assert.equal(stats.contests, 0);
+    assert.equal(stats.best, null);
+    assert.deepEqual(stats.per_month, []);
+  });
+});
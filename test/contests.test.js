@@ -0,0 +1,421 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startApp } from "./app.js";
+
+let api;
+let piyush;
+let shruti;
+
+before(async () => {
+  api = await startApp();
+  piyush = await api.register("piyush");
+  shruti = await api.register("shruti");
+});
+
+after(() => api.close());
+
+const logContest = async (fields) => {
+  const { body } = await api.request("POST", "/contest-logs", {
+    token: piyush,
+    body: { profile: "piyush", ...fields },
+  });
+
+  return body.data;
+};
+
+// Rating points are ordered by recorded_at, which only has milliseconds
+const pause = () => new Promise((resolve) => setTimeout(resolve, 2));
+
+const addProblem = async (logId, fields) => {
+  const { body } = await api.request(
+    "POST",
+    `/contest-logs/${logId}/problems`,
+    { token: piyush, body: fields }
+  );
+
+  return body.data;
+};
+
+describe("contest problems", () => {
+  test("a partial set of problems never lowers the hand-entered count", async () => {
+    const log = await logContest({
+      platform: "codeforces",
+      contest_name: "Round 1",
+      date: "2026-09-01",
+      problems_solved: 3,
+      total_problems: 6,
+    });
+
+    // Only the problem left to upsolve is added
+    const { contest_log } = await addProblem(log.id, { problem_index: "D" });
+
+    assert.equal(contest_log.problems_solved, 3);
+    assert.equal(contest_log.total_problems, 6);
+  });
+
+  test("problems covering the whole contest set the count", async () => {
+    const log = await logContest({
+      platform: "codeforces",
+      contest_name: "Round 2",
+      date: "2026-09-08",
+      problems_solved: 3,
+      total_problems: 2,
+    });
+
+    await addProblem(log.id, { problem_index: "A", solved_in_contest: true });
+    const { contest_log } = await addProblem(log.id, { problem_index: "B" });
+
+    assert.equal(contest_log.problems_solved, 1);
+    assert.equal(contest_log.total_problems, 2);
+  });
+
+  test("unsolved problems make up the upsolve queue", async () => {
+    const { body } = await api.request("GET", "/contest-logs/upsolve-queue", {
+      token: piyush,
+    });
+
+    assert.deepEqual(
+      body.data.map((problem) => problem.problem_index),
+      ["B", "D"]
+    );
+  });
+
+  test("a problem index is used once per contest and only by its owner", async () => {
+    const log = await logContest({
+      platform: "codeforces",
+      contest_name: "Round 5",
+      date: "2026-09-12",
+    });
+    await addProblem(log.id, { problem_index: "A" });
+
+    const duplicate = await api.request(
+      "POST",
+      `/contest-logs/${log.id}/problems`,
+      { token: piyush, body: { problem_index: "A" } }
+    );
+    const theirs = await api.request(
+      "GET",
+      `/contest-logs/${log.id}/problems`,
+      { token: shruti }
+    );
+
+    assert.equal(duplicate.status, 409);
+    assert.equal(theirs.status, 404);
+  });
+
+  test("the upsolve queue's platform filter ignores how it was typed", async () => {
+    const log = await logContest({
+      platform: "AtCoder",
+      contest_name: "ABC 400",
+      date: "2026-09-10",
+    });
+    await addProblem(log.id, { problem_index: "F" });
+
+    const { body } = await api.request(
+      "GET",
+      "/contest-logs/upsolve-queue?platform=atcoder",
+      { token: piyush }
+    );
+
+    assert.deepEqual(
+      body.data.map((problem) => problem.problem_index),
+      ["F"]
+    );
+  });
+});
+
+describe("ratings", () => {
+  test("a contest log and PUT /cp-ratings share one rating per platform", async () => {
+    await api.request("PUT", "/cp-ratings/codeforces", {
+      token: piyush,
+      body: { rating: 1400 },
+    });
+    await pause();
+    await logContest({
+      platform: "Codeforces",
+      contest_name: "Round 3",
+      // Today, so the contest's point is newer than the manual one
+      date: new Date().toISOString().slice(0, 10),
+      old_rating: 1400,
+      new_rating: 1480,
+    });
+
+    const { body } = await api.request("GET", "/cp-ratings", {
+      token: piyush,
+    });
+    const history = await api.request("GET", "/cp-ratings/CodeForces/history", {
+      token: piyush,
+    });
+
+    assert.equal(body.data.length, 1);
+    assert.equal(body.data[0].platform, "codeforces");
+    assert.equal(body.data[0].rating, 1480);
+    assert.equal(body.data[0].delta, 80);
+    assert.deepEqual(
+      history.body.data.map((point) => [point.rating, point.source]),
+      [
+        [1400, "manual"],
+        [1480, "contest"],
+      ]
+    );
+  });
+
+  test("deleting a contest log takes its rating point with it", async () => {
+    await pause();
+    const log = await logContest({
+      platform: "codeforces",
+      contest_name: "Round 4",
+      date: new Date().toISOString().slice(0, 10),
+      new_rating: 1530,
+    });
+    const current = async () => {
+      const { body } = await api.request("GET", "/cp-ratings", {
+        token: piyush,
+      });
+
+      return body.data.find((row) => row.platform === "codeforces").rating;
+    };
+
+    assert.equal(await current(), 1530);
+
+    await api.request("DELETE", `/contest-logs/${log.id}`, { token: piyush });
+
+    assert.equal(await current(), 1480);
+  });
+
+  test("every rating change is kept as a history point", async () => {
+    for (const rating of [1500, 1620, 1580]) {
+      await api.request("PUT", "/cp-ratings/leetcode", {
+        token: piyush,
+        body: { rating },
+      });
+      await pause();
+    }
+
+    const { body } = await api.request("GET", "/cp-ratings", {
+      token: piyush,
+    });
+    const history = await api.request("GET", "/cp-ratings/leetcode/history", {
+      token: piyush,
+    });
+    const badRange = await api.request(
+      "GET",
+      "/cp-ratings/leetcode/history?from=yesterday",
+      { token: piyush }
+    );
+    const leetcode = body.data.find((row) => row.platform === "leetcode");
+
+    assert.equal(leetcode.rating, 1580);
+    assert.equal(leetcode.peak, 1620);
+    assert.equal(leetcode.delta, -40);
+    assert.deepEqual(
+      history.body.data.map((point) => point.rating),
+      [1500, 1620, 1580]
+    );
+    assert.equal(badRange.status, 400);
+  });
+});
+
+describe("stats", () => {
+  test("the platform filter and grouping ignore how the platform was typed", async () => {
+    await logContest({
+      platform: "codeforces",
+      contest_name: "Round 0",
+      date: "2026-08-01",
+      new_rating: 1300,
+    });
+    await logContest({
+      platform: "Code Forces",
+      contest_name: "Round 0.5",
+      date: "2026-08-15",
+      new_rating: 1350,
+    });
+    await logContest({
+      platform: "leetcode",
+      contest_name: "Weekly 1",
+      date: "2026-08-10",
+    });
+
+    const { body } = await api.request(
+      "GET",
+      "/contest-logs/stats?platform=Codeforces&from=2026-08-01&to=2026-08-31",
+      { token: piyush }
+    );
+
+    assert.equal(body.data.contests, 2);
+    assert.equal(body.data.total_rating_delta, 50);
+    assert.deepEqual(Object.keys(body.data.by_platform), ["codeforces"]);
+  });
+});
+
+describe("contest calendar", () => {
+  const addContest = async (name, start_time = "2027-01-10T14:35:00Z") => {
+    const { body } = await api.request("POST", "/contests", {
+      token: piyush,
+      body: { platform: "codeforces", name, start_time },
+    });
+
+    return body.data;
+  };
+
+  test("importing a saved feed twice keeps one row per contest", async () => {
+    const importFixture = async () => {
+      const { body } = await api.request("POST", "/contests/import", {
+        token: piyush,
+        body: { platform: "codeforces", fixture: "codeforces.json" },
+      });
+
+      return body.data.map((contest) => contest.id);
+    };
+
+    const first = await importFixture();
+    const second = await importFixture();
+    const both = await api.request("POST", "/contests/import", {
+      token: piyush,
+      body: { platform: "codeforces", fixture: "codeforces.json", payload: {} },
+    });
+
+    assert.ok(first.length > 0);
+    assert.deepEqual(second, first);
+    assert.equal(both.status, 400);
+  });
+
+  test("a started contest becomes a log dated in the caller's time zone", async () => {
+    const started = await addContest("Round 1000", "2026-09-05T23:30:00Z");
+    const upcoming = await addContest("Round 1001");
+    const logFrom = (contest) =>
+      api.request(
+        "POST",
+        `/contests/${contest.id}/contest-log?tz=Asia/Kolkata`,
+        { token: piyush, body: { problems_solved: 2 } }
+      );
+
+    const created = await logFrom(started);
+    const again = await logFrom(started);
+    const early = await logFrom(upcoming);
+
+    assert.equal(created.body.data.contest_name, "Round 1000");
+    assert.equal(created.body.data.date, "2026-09-06");
+    assert.equal(created.body.data.problems_solved, 2);
+    assert.equal(again.status, 409);
+    assert.equal(early.status, 400);
+  });
+
+  test("a contest another profile plans to attend can't be deleted", async () => {
+    const contest = await addContest("Round 900");
+    await api.request("PUT", `/contests/${contest.id}/plan`, { token: shruti });
+
+    const blocked = await api.request("DELETE", `/contests/${contest.id}`, {
+      token: piyush,
+    });
+
+    await api.request("DELETE", `/contests/${contest.id}/plan`, {
+      token: shruti,
+    });
+    const removed = await api.request("DELETE", `/contests/${contest.id}`, {
+      token: piyush,
+    });
+
+    assert.equal(blocked.status, 409);
+    assert.equal(removed.status, 200);
+  });
+
+  test("the caller's own plan doesn't block a delete", async () => {
+    const contest = await addContest("Round 901");
+    await api.request("PUT", `/contests/${contest.id}/plan`, { token: piyush });
+
+    const removed = await api.request("DELETE", `/contests/${contest.id}`, {
+      token: piyush,
+    });
+    const { body } = await api.request("GET", "/contests?attending=true", {
+      token: piyush,
+    });
+
+    assert.equal(removed.status, 200);
+    assert.deepEqual(body.data, []);
+  });
+});
+
+describe("rating import", () => {
+  const leetcodeExport = {
+    data: {
+      userContestRankingHistory: [
+        {
+          attended: true,
+          rating: 1650.4,
+          ranking: 3021,
+          problemsSolved: 3,
+          totalProblems: 4,
+          contest: { title: "Weekly Contest 480", startTime: 1783260000 },
+        },
+        {
+          attended: false,
+          rating: 1650.4,
+          contest: { title: "Weekly Contest 481", startTime: 1783864800 },
+        },
+      ],
+    },
+  };
+  const importLeetcode = (extra = {}) =>
+    api.request("POST", "/cp-ratings/import", {
+      token: piyush,
+      body: { platform: "leetcode", payload: leetcodeExport, ...extra },
+    });
+
+  test("a dry run writes nothing and a second import skips logged contests", async () => {
+    const points = async () =>
+      (
+        await api.request("GET", "/cp-ratings/leetcode/history", {
+          token: piyush,
+        })
+      ).body.data.length;
+
+    const pointsBefore = await points();
+    const dryRun = await importLeetcode({ dry_run: true });
+    const afterDryRun = await points();
+    const first = await importLeetcode();
+    const again = await importLeetcode();
+
+    assert.equal(dryRun.body.data.created.length, 1);
+    assert.equal(afterDryRun, pointsBefore);
+    assert.equal(first.body.data.created.length, 1);
+    assert.deepEqual(again.body.data.created, []);
+    assert.deepEqual(
+      again.body.data.skipped.map((entry) => entry.reason),
+      ["already logged"]
+    );
+  });
+
+  test("a hand-typed log matches the export whatever its case and spacing", async () => {
+    const log = await logContest({
+      platform: "Codeforces",
+      contest_name: "  codeforces round 950  (div. 2)",
+      date: "2026-07-01",
+    });
+
+    const { body } = await api.request("POST", "/cp-ratings/import", {
+      token: piyush,
+      body: {
+        platform: "codeforces",
+        payload: {
+          status: "OK",
+          result: [
+            {
+              contestName: "Codeforces Round 950 (Div. 2)",
+              rank: 812,
+              ratingUpdateTimeSeconds: 1782957600,
+              oldRating: 1350,
+              newRating: 1390,
+            },
+          ],
+        },
+      },
+    });
+
+    assert.deepEqual(body.data.created, []);
+    assert.deepEqual(
+      body.data.updated.map((row) => [row.id, row.new_rating]),
+      [[log.id, 1390]]
+    );
+  });
+});
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { goalReport } from "../lib/dailyLogGoals.js";
+
+const log = (date, solved) => ({ date, dsa_questions_solved: solved });
+
+describe("goalReport", () => {
+  test("weekly goals are judged per Monday-to-Sunday week", () => {
+    const goal = {
+      id: 1,
+      metric: "dsa_questions_solved",
+      target: 5,
+      period: "week",
+    };
+    const logs = [
+      log("2026-10-05", 3),
+      log("2026-10-07", 2),
+      log("2026-10-12", 1),
+    ];
+
+    const [report] = goalReport([goal], logs, {
+      from: "2026-10-05",
+      to: "2026-10-14",
+      today: "2026-10-14",
+    });
+
+    assert.deepEqual(report.periods, [
+      {
+        period_start: "2026-10-05",
+        period_end: "2026-10-11",
+        total: 5,
+        met: true,
+        shortfall: 0,
+        in_progress: false,
+      },
+      {
+        period_start: "2026-10-12",
+        period_end: "2026-10-18",
+        total: 1,
+        met: false,
+        shortfall: 4,
+        in_progress: true,
+      },
+    ]);
+    assert.equal(report.goal_id, 1);
+    assert.equal(report.periods_met, 1);
+    assert.equal(report.periods_total, 2);
+    // The week in progress can still be met, so it adds no shortfall
+    assert.equal(report.total_shortfall, 0);
+    assert.equal(report.current_streak, 1);
+  });
+
+  test("an unmet day in progress doesn't break the streak", () => {
+    const goal = {
+      id: 2,
+      metric: "dsa_questions_solved",
+      target: 1,
+      period: "day",
+    };
+    const logs = [
+      log("2026-10-11", 0),
+      log("2026-10-12", 2),
+      log("2026-10-13", 1),
+    ];
+
+    const [report] = goalReport([goal], logs, {
+      from: "2026-10-11",
+      to: "2026-10-14",
+      today: "2026-10-14",
+    });
+
+    assert.equal(report.current_streak, 2);
+    assert.equal(report.periods_met, 2);
+    assert.equal(report.total_shortfall, 1);
+  });
+
+  test("logs of the same day are added up", () => {
+    const goal = {
+      id: 3,
+      metric: "dsa_questions_solved",
+      target: 4,
+      period: "month",
+    };
+
+    const [report] = goalReport(
+      [goal],
+      [log("2026-10-01", 2), log("2026-10-01", 2)],
+      { from: "2026-10-01", to: "2026-10-31", today: "2026-10-19" }
+    );
+
+    assert.equal(report.periods[0].total, 4);
+    assert.equal(report.periods[0].met, true);
+  });
+});
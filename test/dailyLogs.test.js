@@ -0,0 +1,214 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startApp } from "./app.js";
+
+let api;
+let piyush;
+
+before(async () => {
+  api = await startApp();
+  piyush = await api.register("piyush");
+});
+
+after(() => api.close());
+
+describe("profile registry", () => {
+  test("a new profile logs its own metrics in the shared table", async () => {
+    const created = await api.request("POST", "/profiles", {
+      token: piyush,
+      body: {
+        name: "ananya",
+        daily_log_metrics: [{ key: "pages_read", label: "Pages read" }],
+      },
+    });
+    const ananya = await api.register("ananya");
+
+    const saved = await api.request("PUT", "/daily-logs/ananya/2026-09-01", {
+      token: ananya,
+      body: { pages_read: 20 },
+    });
+    const unknown = await api.request("PUT", "/daily-logs/ananya/2026-09-02", {
+      token: ananya,
+      body: { dsa_questions_solved: 3 },
+    });
+    const { body } = await api.request("GET", "/daily-logs/ananya", {
+      token: ananya,
+    });
+
+    assert.equal(created.status, 200);
+    assert.equal(saved.body.data.pages_read, 20);
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(
+      body.data.map((log) => [log.date, log.pages_read]),
+      [["2026-09-01", 20]]
+    );
+  });
+
+  test("profile names are unique and the built-ins are taken", async () => {
+    const { status } = await api.request("POST", "/profiles", {
+      token: piyush,
+      body: {
+        name: "shruti",
+        daily_log_metrics: [{ key: "pages_read", label: "Pages read" }],
+      },
+    });
+
+    assert.equal(status, 409);
+  });
+});
+
+describe("daily log summary", () => {
+  test("weeks are totalled and compared with the week before", async () => {
+    for (const [date, solved] of [
+      ["2026-09-07", 2],
+      ["2026-09-14", 4],
+      ["2026-09-16", 6],
+    ]) {
+      await api.request("PUT", `/daily-logs/piyush/${date}`, {
+        token: piyush,
+        body: { dsa_questions_solved: solved },
+      });
+    }
+
+    const { body } = await api.request(
+      "GET",
+      "/daily-logs/piyush/summary?granularity=week&from=2026-09-14&to=2026-09-20",
+      { token: piyush }
+    );
+    const [week] = body.data.periods;
+    const metric = week.metrics.dsa_questions_solved;
+
+    assert.equal(body.data.periods.length, 1);
+    assert.equal(week.period_start, "2026-09-14");
+    assert.equal(metric.total, 10);
+    assert.equal(metric.active_days, 2);
+    assert.deepEqual(metric.best_day, { date: "2026-09-16", value: 6 });
+    assert.equal(metric.change.average, 1.14);
+  });
+
+  test("bad granularities and ranges are refused", async () => {
+    const granularity = await api.request(
+      "GET",
+      "/daily-logs/piyush/summary?granularity=year",
+      { token: piyush }
+    );
+    const backwards = await api.request(
+      "GET",
+      "/daily-logs/piyush/summary?from=2026-09-20&to=2026-09-14",
+      { token: piyush }
+    );
+
+    assert.equal(granularity.status, 400);
+    assert.equal(backwards.status, 400);
+  });
+});
+
+describe("one log per day", () => {
+  test("a second POST for a day is a conflict pointing at the first", async () => {
+    const first = await api.request("POST", "/daily-logs/piyush", {
+      token: piyush,
+      body: { date: "2026-10-01", dsa_questions_solved: 1 },
+    });
+    const second = await api.request("POST", "/daily-logs/piyush", {
+      token: piyush,
+      body: { date: "2026-10-01", dsa_questions_solved: 2 },
+    });
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 409);
+    assert.equal(second.body.data.id, first.body.data.id);
+  });
+
+  test("PUT by date creates the day, then sets and increments it", async () => {
+    const put = (body) =>
+      api.request("PUT", "/daily-logs/piyush/2026-10-02", {
+        token: piyush,
+        body,
+      });
+
+    const created = await put({ dsa_questions_solved: 2 });
+    const incremented = await put({ increment: { dsa_questions_solved: 3 } });
+    const floored = await put({ increment: { dsa_questions_solved: -10 } });
+
+    assert.equal(created.body.data.dsa_questions_solved, 2);
+    assert.equal(incremented.body.data.id, created.body.data.id);
+    assert.equal(incremented.body.data.dsa_questions_solved, 5);
+    assert.equal(floored.body.data.dsa_questions_solved, 0);
+  });
+
+  test("a log can't be moved onto a day that has one", async () => {
+    const { body } = await api.request("GET", "/daily-logs/piyush/2026-10-02", {
+      token: piyush,
+    });
+
+    const { status } = await api.request(
+      "PUT",
+      `/daily-logs/piyush/${body.data.id}`,
+      { token: piyush, body: { date: "2026-10-01" } }
+    );
+
+    assert.equal(status, 409);
+  });
+});
+
+describe("solved problems", () => {
+  const solvedOn = async (date) => {
+    const { body } = await api.request("GET", `/daily-logs/piyush/${date}`, {
+      token: piyush,
+    });
+
+    return body.data?.dsa_questions_solved ?? null;
+  };
+
+  test("each problem counts toward its day's log", async () => {
+    const add = async (name) => {
+      const { body } = await api.request("POST", "/solved-problems", {
+        token: piyush,
+        body: {
+          profile: "piyush",
+          date: "2026-11-01",
+          name,
+          difficulty: "medium",
+          topics: ["graphs"],
+        },
+      });
+
+      return body.data;
+    };
+
+    await add("Course Schedule");
+    const second = await add("Clone Graph");
+
+    assert.equal(await solvedOn("2026-11-01"), 2);
+
+    await api.request("PUT", `/solved-problems/${second.id}`, {
+      token: piyush,
+      body: { date: "2026-11-02" },
+    });
+
+    assert.equal(await solvedOn("2026-11-01"), 1);
+    assert.equal(await solvedOn("2026-11-02"), 1);
+
+    await api.request("DELETE", `/solved-problems/${second.id}`, {
+      token: piyush,
+    });
+
+    assert.equal(await solvedOn("2026-11-02"), 0);
+  });
+
+  test("a metric the profile doesn't track is refused", async () => {
+    const { status, body } = await api.request("POST", "/solved-problems", {
+      token: piyush,
+      body: {
+        profile: "piyush",
+        date: "2026-11-03",
+        name: "Two Sum",
+        metric: "sql_questions_solved",
+      },
+    });
+
+    assert.equal(status, 400);
+    assert.ok(body.details.metric);
+    assert.equal(await solvedOn("2026-11-03"), null);
+  });
+});
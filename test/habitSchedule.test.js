@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { dateRange } from "../lib/dates.js";
+import { applySchedule, scheduleError } from "../lib/habitSchedule.js";
+
+// Plain statuses for every day from `start` to `today`, as dayStatuses
+// builds them before the schedule is applied
+const plainDays = (start, today, completed = []) =>
+  dateRange(start, today).map((date) => ({
+    date,
+    status: completed.includes(date)
+      ? "completed"
+      : date === today
+      ? "pending"
+      : "missed",
+  }));
+
+const statusOf = (days) =>
+  Object.fromEntries(days.map((day) => [day.date, day.status]));
+
+describe("scheduleError", () => {
+  test("accepts valid schedules", () => {
+    assert.equal(scheduleError({ type: "daily" }), null);
+    assert.equal(scheduleError({ type: "weekdays", days: [1, 3, 5] }), null);
+    assert.equal(scheduleError({ type: "times_per_week", times: 3 }), null);
+    assert.equal(
+      scheduleError({
+        type: "every_n_days",
+        interval: 2,
+        start_date: "2024-02-29",
+      }),
+      null
+    );
+  });
+
+  test("rejects out-of-range values", () => {
+    assert.match(scheduleError({ type: "hourly" }), /^type must be/);
+    assert.match(scheduleError({ type: "weekdays", days: [] }), /^days/);
+    assert.match(scheduleError({ type: "times_per_week", times: 8 }), /^times/);
+    assert.match(
+      scheduleError({ type: "every_n_days", interval: 0 }),
+      /^interval/
+    );
+  });
+
+  test("rejects start dates that aren't on the calendar", () => {
+    assert.match(
+      scheduleError({
+        type: "every_n_days",
+        interval: 2,
+        start_date: "2026-02-30",
+      }),
+      /^start_date/
+    );
+  });
+});
+
+describe("applySchedule", () => {
+  test("daily schedules leave the statuses alone", () => {
+    const days = plainDays("2026-10-12", "2026-10-14", ["2026-10-12"]);
+
+    assert.deepEqual(statusOf(applySchedule(null, days, {})), {
+      "2026-10-12": "completed",
+      "2026-10-13": "missed",
+      "2026-10-14": "pending",
+    });
+  });
+
+  test("weekdays schedules only count the listed days", () => {
+    // Monday 2026-10-12 to Thursday 2026-10-15, due Monday and Wednesday
+    const days = plainDays("2026-10-12", "2026-10-15", ["2026-10-13"]);
+    const result = applySchedule({ type: "weekdays", days: [1, 3] }, days, {
+      start: "2026-10-12",
+      today: "2026-10-15",
+    });
+
+    assert.deepEqual(statusOf(result), {
+      "2026-10-12": "missed",
+      "2026-10-13": "completed",
+      "2026-10-14": "missed",
+      "2026-10-15": "not_due",
+    });
+  });
+
+  test("every_n_days schedules count from start_date", () => {
+    const days = plainDays("2026-10-01", "2026-10-04");
+    const result = applySchedule(
+      { type: "every_n_days", interval: 2, start_date: "2026-10-02" },
+      days,
+      { start: "2026-10-01", today: "2026-10-04" }
+    );
+
+    assert.deepEqual(statusOf(result), {
+      "2026-10-01": "not_due",
+      "2026-10-02": "missed",
+      "2026-10-03": "not_due",
+      "2026-10-04": "pending",
+    });
+  });
+
+  test("weekly quotas only mark the shortfall as missed", () => {
+    // A full past week with two of three completions
+    const days = plainDays("2026-10-05", "2026-10-12", [
+      "2026-10-05",
+      "2026-10-07",
+    ]);
+    const result = statusOf(
+      applySchedule({ type: "times_per_week", times: 3 }, days, {
+        start: "2026-10-05",
+        today: "2026-10-12",
+      })
+    );
+    const lastWeek = Object.entries(result).filter(
+      ([date]) => date < "2026-10-12"
+    );
+
+    assert.equal(
+      lastWeek.filter(([, status]) => status === "missed").length,
+      1
+    );
+    assert.equal(result["2026-10-11"], "missed");
+    assert.equal(result["2026-10-12"], "pending");
+  });
+});
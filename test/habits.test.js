@@ -0,0 +1,292 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startApp } from "./app.js";
+
+let api;
+let piyush;
+
+before(async () => {
+  api = await startApp();
+  piyush = await api.register("piyush");
+});
+
+after(() => api.close());
+
+const createHabit = async (fields) => {
+  const { body } = await api.request("POST", "/habits", {
+    token: piyush,
+    body: { profile: "piyush", ...fields },
+  });
+
+  return body.data;
+};
+
+// Dates relative to today, as the stats and heatmap are built up to today
+const daysAgo = (days) =>
+  new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const saveEntry = async (fields) => {
+  const { body } = await api.request("PUT", "/habit-entries", {
+    token: piyush,
+    body: fields,
+  });
+
+  return body.data;
+};
+
+describe("habit entries", () => {
+  test("saving the same habit and day twice updates one entry", async () => {
+    const habit = await createHabit({ name: "Journal" });
+
+    const first = await saveEntry({
+      habit_id: habit.id,
+      date: "2026-09-01",
+      completed: true,
+    });
+    const second = await saveEntry({
+      habit_id: habit.id,
+      date: "2026-09-01",
+      completed: false,
+    });
+
+    assert.equal(second.id, first.id);
+    assert.equal(second.completed, false);
+  });
+
+  test("a batch saves every entry or none", async () => {
+    const habit = await createHabit({ name: "Walk" });
+    const entries = ["2026-09-01", "2026-09-02"].map((date) => ({
+      habit_id: habit.id,
+      date,
+      completed: true,
+    }));
+
+    const saved = await api.request("POST", "/habit-entries/batch", {
+      token: piyush,
+      body: { entries },
+    });
+    const duplicate = await api.request("POST", "/habit-entries/batch", {
+      token: piyush,
+      body: { entries: [entries[0], entries[0]] },
+    });
+    const unknown = await api.request("POST", "/habit-entries/batch", {
+      token: piyush,
+      body: {
+        entries: [{ habit_id: 9999, date: "2026-09-03", completed: true }],
+      },
+    });
+
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.data.length, 2);
+    assert.equal(duplicate.status, 400);
+    assert.ok(duplicate.body.details["entries[1]"]);
+    assert.equal(unknown.status, 404);
+  });
+
+  test("an entry can't be moved onto a day that already has one", async () => {
+    const habit = await createHabit({ name: "Read" });
+    const first = await saveEntry({
+      habit_id: habit.id,
+      date: "2026-10-01",
+      completed: true,
+    });
+    const second = await saveEntry({
+      habit_id: habit.id,
+      date: "2026-10-02",
+      completed: true,
+    });
+
+    const clash = await api.request("PUT", `/habit-entries/${second.id}`, {
+      token: piyush,
+      body: { date: "2026-10-01" },
+    });
+    const free = await api.request("PUT", `/habit-entries/${second.id}`, {
+      token: piyush,
+      body: { date: "2026-10-03" },
+    });
+
+    assert.equal(clash.status, 409);
+    assert.equal(clash.body.data.id, first.id);
+    assert.equal(free.status, 200);
+    assert.equal(free.body.data.date, "2026-10-03");
+  });
+});
+
+describe("habit targets", () => {
+  test("ticking an entry keeps a value that already meets the target", async () => {
+    const habit = await createHabit({ name: "Pushups", target: 20 });
+
+    await saveEntry({ habit_id: habit.id, date: "2026-10-05", value: 35 });
+    const ticked = await saveEntry({
+      habit_id: habit.id,
+      date: "2026-10-05",
+      completed: true,
+    });
+
+    assert.equal(ticked.value, 35);
+    assert.equal(ticked.completed, true);
+  });
+
+  test("ticking an entry below the target raises it to the target", async () => {
+    const habit = await createHabit({ name: "Water", target: 8 });
+    const entry = await saveEntry({
+      habit_id: habit.id,
+      date: "2026-10-05",
+      value: 3,
+    });
+
+    const { body } = await api.request("PUT", `/habit-entries/${entry.id}`, {
+      token: piyush,
+      body: { completed: true },
+    });
+
+    assert.equal(entry.completed, false);
+    assert.equal(body.data.value, 8);
+    assert.equal(body.data.completed, true);
+  });
+});
+
+describe("habit stats", () => {
+  test("streaks count back from today and skip today while it's open", async () => {
+    const habit = await createHabit({ name: "Stretch" });
+
+    for (const days of [5, 3, 2, 1]) {
+      await saveEntry({
+        habit_id: habit.id,
+        date: daysAgo(days),
+        completed: true,
+      });
+    }
+
+    const { body } = await api.request("GET", `/habits/${habit.id}/stats`, {
+      token: piyush,
+    });
+
+    // A backfilled entry moves the start of tracking back
+    assert.equal(body.data.tracking_since, daysAgo(5));
+    assert.equal(body.data.current_streak, 3);
+    assert.equal(body.data.longest_streak, 3);
+    assert.equal(body.data.total_completed, 4);
+    assert.deepEqual(body.data.completion_rates.last_7_days, {
+      completed: 4,
+      due: 5,
+      rate: 80,
+    });
+  });
+
+  test("the profile's stats cover every active habit", async () => {
+    const { status, body } = await api.request(
+      "GET",
+      "/habits/stats?profile=piyush",
+      { token: piyush }
+    );
+    const { status: badZone } = await api.request(
+      "GET",
+      "/habits/stats?profile=piyush&tz=Mars/Olympus",
+      { token: piyush }
+    );
+
+    assert.equal(status, 200);
+    assert.ok(body.data.some((stats) => stats.name === "Stretch"));
+    assert.equal(badZone, 400);
+  });
+});
+
+describe("habit heatmap", () => {
+  test("each day's level is the share of due habits completed", async () => {
+    const habit = await createHabit({ name: "Meditate" });
+
+    for (const date of ["2026-08-01", "2026-08-03"]) {
+      await saveEntry({ habit_id: habit.id, date, completed: true });
+    }
+
+    const { body } = await api.request(
+      "GET",
+      "/habit-entries/heatmap?profile=piyush&from=2026-08-01&to=2026-08-03",
+      { token: piyush }
+    );
+
+    assert.deepEqual(body.data, [
+      { date: "2026-08-01", completed: 1, due: 1, level: 4 },
+      { date: "2026-08-02", completed: 0, due: 1, level: 0 },
+      { date: "2026-08-03", completed: 1, due: 1, level: 4 },
+    ]);
+  });
+
+  test("ranges are checked", async () => {
+    const backwards = await api.request(
+      "GET",
+      "/habit-entries/heatmap?profile=piyush&from=2026-08-03&to=2026-08-01",
+      { token: piyush }
+    );
+    const tooLong = await api.request(
+      "GET",
+      "/habit-entries/heatmap?profile=piyush&from=2020-01-01&to=2026-01-01",
+      { token: piyush }
+    );
+
+    assert.equal(backwards.status, 400);
+    assert.equal(tooLong.status, 400);
+  });
+});
+
+describe("archiving and ordering", () => {
+  const habitNames = async (query = "") => {
+    const { body } = await api.request(
+      "GET",
+      `/habits?profile=piyush${query}`,
+      { token: piyush }
+    );
+
+    return body.data.map((habit) => habit.name);
+  };
+
+  test("an archived habit is hidden but keeps its entries", async () => {
+    const habit = await createHabit({ name: "Guitar" });
+    await saveEntry({
+      habit_id: habit.id,
+      date: "2026-09-10",
+      completed: true,
+    });
+
+    await api.request("POST", `/habits/${habit.id}/archive`, {
+      token: piyush,
+    });
+
+    assert.ok(!(await habitNames()).includes("Guitar"));
+    assert.ok((await habitNames("&include_archived=true")).includes("Guitar"));
+
+    await api.request("POST", `/habits/${habit.id}/restore`, {
+      token: piyush,
+    });
+    const { body } = await api.request("GET", `/habits/${habit.id}/stats`, {
+      token: piyush,
+    });
+
+    assert.ok((await habitNames()).includes("Guitar"));
+    assert.equal(body.data.tracking_since, "2026-09-10");
+  });
+
+  test("reordering rewrites sort_order in the given order", async () => {
+    const first = await createHabit({ name: "Floss" });
+    const second = await createHabit({ name: "Vitamins" });
+
+    const { body } = await api.request("PUT", "/habits/order", {
+      token: piyush,
+      body: { ids: [second.id, first.id] },
+    });
+    const unknown = await api.request("PUT", "/habits/order", {
+      token: piyush,
+      body: { ids: [first.id, 9999] },
+    });
+
+    assert.deepEqual(
+      body.data.map((habit) => [habit.name, habit.sort_order]),
+      [
+        ["Vitamins", 0],
+        ["Floss", 1],
+      ]
+    );
+    assert.equal(unknown.status, 404);
+  });
+});
@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createMemoryRepository } from "../lib/repository/memory.js";
+
+describe("memory repository filters", () => {
+  test("{ not: null } keeps rows where the column is set", async () => {
+    const db = createMemoryRepository();
+    await db.insert("todos", { content: "once", recurrence: null });
+    await db.insert("todos", { content: "unset" });
+    await db.insert("todos", {
+      content: "daily",
+      recurrence: { type: "daily" },
+    });
+
+    const rows = await db.list("todos", { recurrence: { not: null } });
+
+    assert.deepEqual(
+      rows.map((row) => row.content),
+      ["daily"]
+    );
+  });
+
+  test("not only supports null", async () => {
+    const db = createMemoryRepository();
+    await db.insert("todos", { content: "once" });
+
+    await assert.rejects(
+      db.list("todos", { content: { not: "once" } }),
+      /Unsupported filter operator: not/
+    );
+  });
+});
@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  arrivedOccurrence,
+  nextOccurrence,
+  recurrenceError,
+  upcomingOccurrence,
+  withMonthlyDay,
+} from "../lib/recurrence.js";
+
+describe("recurrenceError", () => {
+  test("accepts valid rules", () => {
+    assert.equal(recurrenceError({ type: "daily" }), null);
+    assert.equal(recurrenceError({ type: "weekly", days: [0, 6] }), null);
+    assert.equal(recurrenceError({ type: "monthly" }), null);
+    assert.equal(recurrenceError({ type: "monthly", day: 31 }), null);
+  });
+
+  test("rejects unknown types, empty weeks and impossible days", () => {
+    assert.match(recurrenceError({ type: "yearly" }), /^type must be/);
+    assert.match(recurrenceError({ type: "weekly", days: [] }), /^days/);
+    assert.match(recurrenceError({ type: "weekly", days: [7] }), /^days/);
+    assert.match(recurrenceError({ type: "monthly", day: 32 }), /^day/);
+  });
+});
+
+describe("nextOccurrence", () => {
+  test("daily rules move one day", () => {
+    assert.equal(nextOccurrence({ type: "daily" }, "2026-12-31"), "2027-01-01");
+  });
+
+  test("weekly rules find the next listed weekday", () => {
+    // 2026-10-19 is a Monday
+    const rule = { type: "weekly", days: [1, 3] };
+
+    assert.equal(nextOccurrence(rule, "2026-10-19"), "2026-10-21");
+    assert.equal(nextOccurrence(rule, "2026-10-21"), "2026-10-26");
+  });
+
+  test("monthly rules clamp to short months", () => {
+    const rule = { type: "monthly", day: 31 };
+
+    assert.equal(nextOccurrence(rule, "2026-01-31"), "2026-02-28");
+    assert.equal(nextOccurrence(rule, "2026-02-28"), "2026-03-31");
+    assert.equal(nextOccurrence(rule, "2026-12-31"), "2027-01-31");
+  });
+});
+
+describe("withMonthlyDay", () => {
+  test("fills in the due date's day on monthly rules only", () => {
+    assert.deepEqual(withMonthlyDay({ type: "monthly" }, "2026-01-31"), {
+      type: "monthly",
+      day: 31,
+    });
+    assert.deepEqual(
+      withMonthlyDay({ type: "monthly", day: 15 }, "2026-01-31"),
+      { type: "monthly", day: 15 }
+    );
+    assert.deepEqual(withMonthlyDay({ type: "daily" }, "2026-01-31"), {
+      type: "daily",
+    });
+    assert.equal(withMonthlyDay(null, "2026-01-31"), null);
+  });
+});
+
+describe("upcomingOccurrence", () => {
+  test("skips occurrences that are already in the past", () => {
+    assert.equal(
+      upcomingOccurrence({ type: "daily" }, "2026-10-01", "2026-10-19"),
+      "2026-10-19"
+    );
+  });
+
+  test("keeps a monthly rule's day after a short month", () => {
+    assert.equal(
+      upcomingOccurrence({ type: "monthly" }, "2026-01-31", "2026-10-19"),
+      "2026-10-31"
+    );
+  });
+});
+
+describe("arrivedOccurrence", () => {
+  test("collapses missed occurrences into the latest one", () => {
+    const rule = { type: "weekly", days: [1] };
+
+    assert.equal(
+      arrivedOccurrence(rule, "2026-09-28", "2026-10-19"),
+      "2026-10-19"
+    );
+    assert.equal(
+      arrivedOccurrence(rule, "2026-09-28", "2026-10-18"),
+      "2026-10-12"
+    );
+  });
+
+  test("is null until the next occurrence arrives", () => {
+    assert.equal(
+      arrivedOccurrence({ type: "monthly" }, "2026-10-15", "2026-11-14"),
+      null
+    );
+  });
+});
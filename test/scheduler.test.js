@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createScheduler } from "../lib/scheduler.js";
+
+// Timer functions that only record what they were given
+const fakeTimers = () => {
+  const timers = {
+    callback: null,
+    intervalMs: null,
+    cleared: false,
+    setTimer: (callback, intervalMs) => {
+      timers.callback = callback;
+      timers.intervalMs = intervalMs;
+      return { id: 1 };
+    },
+    clearTimer: () => {
+      timers.cleared = true;
+    },
+  };
+
+  return timers;
+};
+
+describe("createScheduler", () => {
+  test("runs the task with the injected clock", async () => {
+    let now = new Date("2026-10-19T00:00:00Z");
+    const seen = [];
+    const scheduler = createScheduler({
+      task: (time) => seen.push(time.toISOString()),
+      now: () => now,
+      ...fakeTimers(),
+    });
+
+    await scheduler.tick();
+    now = new Date("2026-10-20T00:00:00Z");
+    await scheduler.tick();
+
+    assert.deepEqual(seen, [
+      "2026-10-19T00:00:00.000Z",
+      "2026-10-20T00:00:00.000Z",
+    ]);
+  });
+
+  test("start runs once and sets the interval; stop clears it", async () => {
+    const timers = fakeTimers();
+    let runs = 0;
+    const scheduler = createScheduler({
+      task: () => {
+        runs += 1;
+      },
+      intervalMs: 5000,
+      setTimer: timers.setTimer,
+      clearTimer: timers.clearTimer,
+    });
+
+    await scheduler.start();
+    assert.equal(runs, 1);
+    assert.equal(timers.intervalMs, 5000);
+
+    await timers.callback();
+    assert.equal(runs, 2);
+
+    scheduler.stop();
+    assert.equal(timers.cleared, true);
+  });
+
+  test("a tick during a run returns the run in progress", async () => {
+    let release;
+    let runs = 0;
+    const scheduler = createScheduler({
+      task: () => {
+        runs += 1;
+        return new Promise((resolve) => {
+          release = resolve;
+        });
+      },
+      ...fakeTimers(),
+    });
+
+    const first = scheduler.tick();
+    const second = scheduler.tick();
+
+    assert.equal(first, second);
+    await Promise.resolve();
+    release();
+    await first;
+    assert.equal(runs, 1);
+  });
+
+  test("errors go to onError and don't stop later runs", async () => {
+    const errors = [];
+    let fail = true;
+    const scheduler = createScheduler({
+      task: () => {
+        if (fail) throw new Error("boom");
+      },
+      onError: (err) => errors.push(err.message),
+      ...fakeTimers(),
+    });
+
+    await scheduler.tick();
+    fail = false;
+    await scheduler.tick();
+
+    assert.deepEqual(errors, ["boom"]);
+  });
+});
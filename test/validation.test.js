@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { validate } from "../lib/validation.js";
+
+const schema = {
+  fields: {
+    profile: { type: "string", required: true },
+    name: { type: "string", required: true, maxLength: 5 },
+    count: { type: "integer", min: 0 },
+    note: { type: "string", nullable: true },
+  },
+  immutable: ["profile"],
+};
+
+describe("validate", () => {
+  test("keeps known fields and drops the rest", () => {
+    const { value, errors } = validate(schema, {
+      profile: "piyush",
+      name: "Read",
+      id: 7,
+      extra: true,
+    });
+
+    assert.deepEqual(errors, {});
+    assert.deepEqual(value, { profile: "piyush", name: "Read" });
+  });
+
+  test("reports every bad field", () => {
+    const { errors } = validate(schema, {
+      name: "  ",
+      count: 1.5,
+      note: null,
+    });
+
+    assert.deepEqual(errors, {
+      profile: "is required",
+      name: "must not be empty",
+      count: "must be an integer",
+    });
+  });
+
+  test("partial updates skip required and immutable fields", () => {
+    const { value, errors } = validate(
+      schema,
+      { profile: "shruti", count: 3 },
+      { partial: true }
+    );
+
+    assert.deepEqual(errors, {});
+    assert.deepEqual(value, { count: 3 });
+  });
+});